@@ -0,0 +1,505 @@
+const { ERRORS } = require('./errors');
+const { ref } = require('./schema');
+
+// 可为空的值
+function nullable(schema) {
+    return { anyOf: [schema, { type: 'null' }] };
+}
+
+// 写操作的响应都带有本次操作的描述
+const OPERATION = { type: 'string', description: '操作描述（来自 X-Operation-Desc 请求头）' };
+
+// 时间字符串（ISO 8601）
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+
+// 条目ID列表
+const ID_LIST = { type: 'array', items: { type: 'integer' } };
+
+/**
+ * 接口使用的组件 schema：既用于生成 OpenAPI 文档，也用于开发环境下检查响应
+ * 请求参数的 schema 依赖配置中的限制，与各路由定义在一起
+ */
+const API_SCHEMAS = {
+    Error: {
+        type: 'object',
+        description: '错误响应：code 为稳定的错误码，error 为按 Accept-Language 本地化的说明（支持 zh-CN 与 en，默认 zh-CN），部分错误带有附加字段',
+        required: ['error', 'code'],
+        properties: {
+            error: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERRORS) },
+            details: { type: 'array', items: ref('ValidationIssue') },
+            reason: { type: 'string', description: 'INVALID_ARCHIVE 的具体原因代码，如 checksumMismatch' },
+            detail: { type: 'string', description: 'INVALID_ARCHIVE 的具体原因说明（与 error 使用相同的语言）' }
+        }
+    },
+    ValidationIssue: {
+        type: 'object',
+        description: '参数校验失败的原因',
+        required: ['in', 'field', 'rule', 'message'],
+        properties: {
+            in: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string' },
+            rule: { type: 'string', enum: ['type', 'enum', 'required', 'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum', 'minItems', 'maxItems', 'additionalProperties', 'anyOf'] },
+            limit: { type: 'number' },
+            allowed: { type: 'array' },
+            expected: { type: 'array', items: { type: 'string' } },
+            format: { type: 'string' },
+            message: { type: 'string', description: '按 Accept-Language 本地化的说明' }
+        }
+    },
+    ImageVariant: {
+        type: 'object',
+        required: ['jpeg'],
+        properties: {
+            jpeg: { type: 'string' },
+            webp: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+        }
+    },
+    Bird: {
+        type: 'object',
+        description: '图鉴条目（旧数据可能只有 id / name / imageUrl）',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            imageUrl: nullable({ type: 'string' }),
+            images: {
+                type: 'object',
+                description: '各尺寸的图片：original / medium / thumb',
+                additionalProperties: ref('ImageVariant')
+            },
+            phash: { type: 'string' },
+            duplicateOf: { type: 'integer' },
+            status: { type: 'string', enum: ['pending', 'approved', 'hidden'] },
+            createdAt: TIMESTAMP,
+            description: { type: 'string' },
+            source: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            aliases: { type: 'array', items: { type: 'string' } },
+            origin: {
+                type: 'object',
+                description: '条目最初的来源站点',
+                properties: { url: { type: 'string' }, id: { type: 'integer' } }
+            },
+            likes: { type: 'integer', minimum: 0 },
+            liked: { type: 'boolean' }
+        }
+    },
+    BirdList: {
+        type: 'object',
+        required: ['birds', 'hasMore'],
+        properties: {
+            birds: { type: 'array', items: ref('Bird') },
+            hasMore: { type: 'boolean' },
+            seed: { type: 'integer', description: '随机排序时使用的种子，翻页时传回' }
+        }
+    },
+    BirdStats: {
+        type: 'object',
+        required: ['count', 'type'],
+        properties: {
+            count: { type: 'integer', description: '公开的图片数' },
+            type: { type: 'integer', description: '不重复的名称数' }
+        }
+    },
+    Session: {
+        type: 'object',
+        required: ['isAdmin', 'username', 'loginEnabled'],
+        properties: {
+            isAdmin: { type: 'boolean' },
+            username: nullable({ type: 'string' }),
+            loginEnabled: { type: 'boolean' }
+        }
+    },
+    LoginResult: {
+        type: 'object',
+        required: ['token', 'expiresAt'],
+        properties: {
+            token: { type: 'string' },
+            expiresAt: TIMESTAMP
+        }
+    },
+    Species: {
+        type: 'object',
+        required: ['name', 'count', 'cover'],
+        properties: {
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            cover: ref('Bird')
+        }
+    },
+    SpeciesList: {
+        type: 'object',
+        required: ['species'],
+        properties: { species: { type: 'array', items: ref('Species') } }
+    },
+    SpeciesDetail: {
+        type: 'object',
+        required: ['name', 'count', 'birds'],
+        properties: {
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            birds: { type: 'array', items: ref('Bird') }
+        }
+    },
+    SiteConfig: {
+        type: 'object',
+        required: ['site', 'pageSize', 'limits', 'operations', 'retention'],
+        properties: {
+            site: {
+                type: 'object',
+                properties: { title: { type: 'string' }, url: { type: 'string' } }
+            },
+            pageSize: { type: 'integer' },
+            limits: { type: 'object', additionalProperties: { type: 'number' } },
+            operations: {
+                type: 'object',
+                properties: {
+                    windowMs: { type: 'number' },
+                    limits: { type: 'object', additionalProperties: { type: 'integer' } }
+                }
+            },
+            retention: { type: 'object', additionalProperties: { type: 'integer' } }
+        }
+    },
+    ChangesPage: {
+        type: 'object',
+        description: '增量变更：entry 为镜像用的条目数据（不含本站字段），deleted 表示条目已删除或不再公开',
+        required: ['changes', 'cursor', 'hasMore'],
+        properties: {
+            changes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['seq', 'id', 'updatedAt'],
+                    properties: {
+                        seq: { type: 'integer' },
+                        id: { type: 'integer' },
+                        updatedAt: TIMESTAMP,
+                        deleted: { type: 'boolean' },
+                        entry: { type: 'object' }
+                    }
+                }
+            },
+            cursor: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+        }
+    },
+    OperationLimits: {
+        type: 'object',
+        required: ['exempt', 'windowMs', 'limits'],
+        properties: {
+            exempt: { type: 'boolean' },
+            windowMs: { type: 'number' },
+            limits: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['limit', 'remaining', 'resetTime'],
+                    properties: {
+                        limit: { type: 'integer' },
+                        remaining: { type: 'integer' },
+                        resetTime: nullable(TIMESTAMP)
+                    }
+                }
+            }
+        }
+    },
+    QuizImage: {
+        type: 'object',
+        description: '题目中的图片，通过 /api/quiz/images/{token} 获取（不含条目ID、名称和图片文件名）',
+        required: ['token'],
+        properties: {
+            token: { type: 'string' }
+        }
+    },
+    QuizRound: {
+        type: 'object',
+        description: 'name 题型：看图（image）选名称（choices 为名称）；image 题型：看名称（name）选图（choices 为图片）',
+        required: ['index', 'type', 'key', 'choices'],
+        properties: {
+            index: { type: 'integer' },
+            type: { type: 'string', enum: ['name', 'image'] },
+            key: { type: 'string', description: '题目指纹，作答时传回' },
+            image: ref('QuizImage'),
+            name: { type: 'string' },
+            choices: { type: 'array', items: { anyOf: [{ type: 'string' }, ref('QuizImage')] } }
+        }
+    },
+    Quiz: {
+        type: 'object',
+        required: ['seed', 'choices', 'rounds'],
+        properties: {
+            seed: { type: 'integer' },
+            choices: { type: 'integer' },
+            rounds: { type: 'array', items: ref('QuizRound') }
+        }
+    },
+    QuizAnswerResult: {
+        type: 'object',
+        required: ['correct', 'answer', 'bird'],
+        properties: {
+            correct: { type: 'boolean' },
+            answer: { type: 'integer', description: '正确选项的序号' },
+            bird: {
+                type: 'object',
+                properties: { id: { type: 'integer' }, name: { type: 'string' } }
+            }
+        }
+    },
+    PosterPages: {
+        type: 'object',
+        required: ['count', 'perPage', 'pages'],
+        properties: {
+            count: { type: 'integer' },
+            perPage: { type: 'integer' },
+            pages: { type: 'integer' }
+        }
+    },
+    Like: {
+        type: 'object',
+        required: ['liked', 'likes'],
+        properties: {
+            liked: { type: 'boolean' },
+            likes: { type: 'integer' }
+        }
+    },
+    Message: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            message: { type: 'string' },
+            operation: OPERATION
+        }
+    },
+    SavedBird: {
+        description: '保存后的条目',
+        allOf: [ref('Bird'), { type: 'object', properties: { operation: OPERATION } }]
+    },
+    PendingList: {
+        type: 'object',
+        required: ['birds'],
+        properties: { birds: { type: 'array', items: ref('Bird') } }
+    },
+    ModerationResult: {
+        type: 'object',
+        description: '批量审核的结果：approved / rejected / renamed 中的一项',
+        properties: {
+            approved: ID_LIST,
+            rejected: ID_LIST,
+            renamed: ID_LIST,
+            operation: OPERATION
+        }
+    },
+    DuplicateClusters: {
+        type: 'object',
+        required: ['clusters', 'unhashed'],
+        properties: {
+            clusters: { type: 'array', items: { type: 'array', items: ref('Bird') } },
+            unhashed: { type: 'integer', description: '尚未计算感知哈希的条目数' }
+        }
+    },
+    MergeResult: {
+        type: 'object',
+        required: ['kept', 'removed'],
+        properties: {
+            kept: { type: 'integer' },
+            removed: ID_LIST,
+            operation: OPERATION
+        }
+    },
+    Report: {
+        type: 'object',
+        required: ['id', 'birdId', 'reason', 'status', 'createdAt'],
+        properties: {
+            id: { type: ['string', 'integer'], description: '举报ID（UUID，早期版本的记录为整数）' },
+            birdId: { type: 'integer' },
+            reason: { type: 'string' },
+            note: { type: 'string' },
+            status: { type: 'string', enum: ['open', 'dismissed', 'resolved'] },
+            createdAt: TIMESTAMP,
+            resolvedAt: TIMESTAMP
+        }
+    },
+    ReportGroups: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['bird', 'reports'],
+                    properties: {
+                        bird: ref('Bird'),
+                        reports: { type: 'array', items: ref('Report') }
+                    }
+                }
+            }
+        }
+    },
+    DismissResult: {
+        type: 'object',
+        required: ['message', 'bird'],
+        properties: {
+            message: { type: 'string' },
+            bird: ref('Bird'),
+            operation: OPERATION
+        }
+    },
+    AuditLog: {
+        type: 'object',
+        required: ['timestamp', 'ip', 'operation', 'method', 'path'],
+        properties: {
+            id: { type: 'string' },
+            timestamp: TIMESTAMP,
+            ip: { type: 'string' },
+            operation: { type: 'string' },
+            method: { type: 'string' },
+            path: { type: 'string' },
+            admin: nullable({ type: 'string' }),
+            userAgent: { type: 'string' },
+            changes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        birdId: { type: 'integer' },
+                        before: nullable(ref('Bird')),
+                        after: nullable(ref('Bird'))
+                    }
+                }
+            },
+            revertedAt: TIMESTAMP,
+            revertedBy: { type: 'string' },
+            revertible: { type: 'boolean' }
+        }
+    },
+    AuditLogPage: {
+        type: 'object',
+        required: ['logs', 'total', 'hasMore'],
+        properties: {
+            logs: { type: 'array', items: ref('AuditLog') },
+            total: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+        }
+    },
+    RevertResult: {
+        type: 'object',
+        required: ['reverted', 'birds'],
+        properties: {
+            reverted: { type: 'string' },
+            birds: {
+                type: 'array',
+                description: '恢复后的条目，被移除的条目为 { id, deleted: true }',
+                items: { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, deleted: { type: 'boolean' } } }
+            },
+            operation: OPERATION
+        }
+    },
+    TrashItem: {
+        type: 'object',
+        required: ['id', 'type', 'birdId', 'bird', 'deletedAt', 'expiresAt'],
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: ['entry', 'image'], description: 'entry 为删除的条目，image 为被替换的图片' },
+            birdId: { type: 'integer' },
+            bird: ref('Bird'),
+            deletedAt: TIMESTAMP,
+            expiresAt: TIMESTAMP,
+            deletedBy: nullable({ type: 'string' })
+        }
+    },
+    TrashList: {
+        type: 'object',
+        required: ['items', 'retentionDays'],
+        properties: {
+            items: { type: 'array', items: ref('TrashItem') },
+            retentionDays: { type: 'integer' }
+        }
+    },
+    RestoreResult: {
+        type: 'object',
+        required: ['bird'],
+        properties: {
+            bird: ref('Bird'),
+            operation: OPERATION
+        }
+    },
+    PurgeResult: {
+        type: 'object',
+        required: ['purged'],
+        properties: {
+            purged: { type: 'integer' },
+            operation: OPERATION
+        }
+    },
+    ImportResult: {
+        type: 'object',
+        required: ['mode', 'imported', 'skipped', 'renumbered', 'removed'],
+        properties: {
+            mode: { type: 'string', enum: ['merge', 'replace'] },
+            imported: { type: 'integer' },
+            skipped: { type: 'integer' },
+            renumbered: {
+                type: 'array',
+                description: 'ID与现有条目冲突而重新编号的条目',
+                items: { type: 'object', properties: { from: { type: 'integer' }, to: { type: 'integer' } } }
+            },
+            removed: { type: 'integer' },
+            operation: OPERATION
+        }
+    },
+    SyncResult: {
+        type: 'object',
+        properties: {
+            added: { type: 'integer' },
+            updated: { type: 'integer' },
+            removed: { type: 'integer' },
+            skipped: { type: 'integer' },
+            failed: { type: 'integer' }
+        }
+    },
+    MirrorStatus: {
+        type: 'object',
+        required: ['upstreams', 'intervalMinutes', 'syncing'],
+        properties: {
+            upstreams: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['url', 'cursor'],
+                    properties: {
+                        url: { type: 'string' },
+                        cursor: { type: 'integer' },
+                        lastSyncAt: nullable(TIMESTAMP),
+                        lastError: nullable({ type: 'string' }),
+                        lastResult: nullable(ref('SyncResult'))
+                    }
+                }
+            },
+            intervalMinutes: { type: 'integer' },
+            syncing: { type: 'boolean' }
+        }
+    },
+    MirrorSyncResult: {
+        type: 'object',
+        required: ['results'],
+        properties: {
+            results: {
+                type: 'array',
+                items: {
+                    allOf: [ref('SyncResult'), {
+                        type: 'object',
+                        properties: { upstream: { type: 'string' }, error: nullable({ type: 'string' }) }
+                    }]
+                }
+            },
+            operation: OPERATION
+        }
+    }
+};
+
+module.exports = { API_SCHEMAS };
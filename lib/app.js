@@ -0,0 +1,2487 @@
+const express = require('express');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const cors = require('cors');
+const QRCode = require('qrcode');
+const { loadConfig } = require('./config');
+const { createAuth } = require('./auth');
+const { createStorage } = require('./storage');
+const { detectImageType, processUpload, listImageFiles } = require('./images');
+const { computeImageHash, findNearest, findClusters } = require('./phash');
+const { createSearchIndex } = require('./search');
+const { createTrash, TRASH_ENTRY, TRASH_IMAGE } = require('./trash');
+const { createHitLog, createSlidingWindowStore } = require('./rate-limit');
+const { createArchive, extractArchive, planImport, importImages, IMPORT_MODES } = require('./archive');
+const { createChangeFeed, createMirror, toMirrorEntry } = require('./mirror');
+const { renderPoster, renderPosterPdf, paginatePoster, POSTER_FORMATS } = require('./poster');
+const { renderIndexPage, renderBirdPage } = require('./pages');
+const { createEventStream } = require('./events');
+const { createRandom, shuffle } = require('./random');
+const { createQuizPool, generateQuiz, checkAnswer, resolveQuizImage, QUIZ_LIMITS, QUIZ_IMAGE_SIZES } = require('./quiz');
+const { ApiError, sendError, handleApiError } = require('./errors');
+const { getLocale, translate } = require('./i18n');
+const { createApi, ref, validationError } = require('./schema');
+const { API_SCHEMAS } = require('./api-schemas');
+
+// 项目根目录（数据文件的默认位置）与前端页面目录
+const ROOT_DIR = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+
+// 前端依赖的本地副本（页面不依赖 CDN，离线时也能加载）
+const FONT_AWESOME_DIR = path.dirname(require.resolve('font-awesome/package.json'));
+
+// 接口版本（接口有不兼容的变化时递增）
+const API_VERSION = '1.0.0';
+
+/**
+ * 创建图鉴应用：返回的 app 可以直接监听端口，也可以挂载到其它 Express 应用的子路径下
+ * （如 host.use('/yelu', gallery.app)），页面、接口与 Service Worker 的地址都会带上挂载路径
+ * @param {Object} [options] - 应用选项
+ * @param {Object} [options.config] - 部署配置，结构与 config.json 相同（含 limits 与 operations 等限制），
+ *                                    按同样的规则校验，未指定的项使用默认值，不读取环境变量
+ * @param {string} [options.dataDir] - 数据文件目录（data.json、操作日志等），默认为项目根目录
+ * @param {string} [options.imagesDir] - 图片目录，默认为 public/images
+ * @param {string} [options.trashDir] - 回收站图片目录，默认为数据目录下的 trash
+ * @param {string} [options.basePath] - 页面对外的路径前缀（如 /yelu），默认为挂载路径；
+ *                                      反向代理去掉了前缀时需要指定
+ * @param {Object} [options.admin] - 管理员账号 { username, password, tokenSecret }，未设置密码时禁用管理员功能
+ * @returns {Object} - { app, init, close }：处理请求前需 await init()，退出前 await close()
+ * @throws {ConfigError} - 配置无效时抛出
+ */
+function createApp(options = {}) {
+    // 部署配置：与 config.json 的校验规则相同，未指定的项使用默认值
+    const config = loadConfig({ env: {}, values: options.config || {} });
+
+    // 配置Express应用
+    const app = express();
+
+    // 数据文件目录与图片目录
+    const DATA_DIR = options.dataDir || ROOT_DIR;
+    const IMAGES_DIR = options.imagesDir || path.join(PUBLIC_DIR, 'images');
+
+    // 回收站图片目录（不对外公开）
+    const TRASH_DIR = options.trashDir || path.join(DATA_DIR, 'trash');
+
+    // 只信任配置的代理（层数或地址列表）转发的客户端地址，默认不信任，避免访客伪造 X-Forwarded-For
+    app.set('trust proxy', config.trustProxy);
+
+    // 配置CORS - 允许的来源由配置决定
+    app.use(cors({
+        origin: config.corsOrigins,
+        methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
+        allowedHeaders: 'Content-Type, Authorization',
+        exposedHeaders: 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, X-Poster-Page, X-Poster-Pages',
+        credentials: true
+    }));
+
+    // 管理员认证（通过环境变量配置账号密码，未设置密码时禁用管理员功能）
+    const admin = options.admin || {};
+    const auth = createAuth({
+        username: admin.username || 'admin',
+        password: admin.password || '',
+        secret: admin.tokenSecret
+    });
+
+    // 接口注册器：路由与请求 / 响应 schema 一起注册，请求在认证之后先按 schema 校验，同一份 schema 生成 OpenAPI 文档
+    // 表单接口由 uploadImage 解析，开发环境下还会检查响应是否与文档一致
+    const api = createApi(app, {
+        info: {
+            title: `${config.site.title} API`,
+            version: API_VERSION,
+            description: '错误响应统一为 { error, code }，code 为稳定的错误码，error 的语言由 Accept-Language 决定（zh-CN 或 en，默认 zh-CN）'
+        },
+        schemas: API_SCHEMAS,
+        auth: { required: auth.requireAdmin, optional: auth.optionalAdmin },
+        parseForm: uploadImage,
+        checkResponses: process.env.NODE_ENV !== 'production'
+    });
+
+    // 登录接口的暴力破解保护：15分钟内最多10次尝试
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        limit: 10,
+        standardHeaders: true,
+        legacyHeaders: false,
+        // 与操作频率限制使用相同的客户端IP识别逻辑
+        keyGenerator: (req) => getClientIp(req),
+        handler: (req, res) => sendError(res, 'LOGIN_RATE_LIMITED', { retryAfter: getRetryAfter(req) })
+    });
+
+    // 静态文件服务
+    // 首页由下面的页面路由返回（需要填入路径前缀），这里不自动返回 index.html
+    app.use(express.static(PUBLIC_DIR, { index: false }));
+    app.use('/api/images', express.static(IMAGES_DIR));
+    app.use('/api/images', (req, res) => sendError(res, 'IMAGE_NOT_FOUND'));
+    app.use('/vendor/font-awesome/css', express.static(path.join(FONT_AWESOME_DIR, 'css')));
+    app.use('/vendor/font-awesome/fonts', express.static(path.join(FONT_AWESOME_DIR, 'fonts')));
+
+    // 解析JSON请求体
+    app.use(express.json());
+
+    // API缓存控制
+    app.use('/api', (req, res, next) => {
+        res.set('Cache-Control', 'public, max-age=3600, stale-while-revalidate=86400');
+        next();
+    });
+
+    // 上传图片大小上限（处理后的图片），以及请求中单个文件的上限
+    const MAX_IMAGE_SIZE = config.limits.imageSizeMB * 1024 * 1024;
+    const MAX_UPLOAD_SIZE = config.limits.uploadSizeMB * 1024 * 1024;
+
+    // 名称长度上限
+    const NAME_MAX_LENGTH = config.limits.nameLength;
+
+    // 感知哈希汉明距离不超过该值的图片视为重复
+    const DUPLICATE_THRESHOLD = 8;
+
+    // 配置Multer：上传内容先保存在内存中，校验并处理后才写入磁盘
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+    });
+
+    // 接收单张图片，将Multer错误转换为400响应
+    function uploadImage(req, res, next) {
+        upload.single('image')(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                return error.code === 'LIMIT_FILE_SIZE'
+                    ? sendError(res, imageSizeError())
+                    : sendError(res, 'UPLOAD_FAILED', { params: { detail: error.message } });
+            }
+            next(error);
+        });
+    }
+
+    // 图片超过大小上限的错误（附带上限字节数，便于前端提示）
+    function imageSizeError() {
+        return new ApiError('IMAGE_TOO_LARGE', { params: { limitMB: config.limits.imageSizeMB }, limit: MAX_IMAGE_SIZE });
+    }
+
+    // 校验上传的图片并计算感知哈希
+    async function inspectImageUpload(file) {
+        if (file.size > MAX_IMAGE_SIZE) {
+            throw imageSizeError();
+        }
+        if (!detectImageType(file.buffer)) {
+            throw new ApiError('UNSUPPORTED_IMAGE');
+        }
+
+        try {
+            return await computeImageHash(file.buffer);
+        } catch (error) {
+            throw new ApiError('CORRUPTED_IMAGE');
+        }
+    }
+
+    // 存储层：图鉴条目、IP操作频率记录和操作日志
+    const storage = createStorage({
+        dataFile: path.join(DATA_DIR, 'data.json'),
+        ipOperationsFile: path.join(DATA_DIR, 'ip_operations.json'),
+        operationLogFile: path.join(DATA_DIR, 'operation_log.json'),
+        likesFile: path.join(DATA_DIR, 'likes.json'),
+        reportsFile: path.join(DATA_DIR, 'reports.json'),
+        trashFile: path.join(DATA_DIR, 'trash.json'),
+        changesFile: path.join(DATA_DIR, 'changes.json'),
+        mirrorFile: path.join(DATA_DIR, 'mirror.json')
+    });
+
+    // 回收站保留天数，以及清理过期记录的间隔
+    const TRASH_RETENTION_DAYS = config.retention.trashDays;
+    const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1小时
+
+    // 回收站：删除的条目和被替换的图片保留一段时间，期间可以恢复
+    const trash = createTrash({
+        collection: storage.trash,
+        imagesDir: IMAGES_DIR,
+        trashDir: TRASH_DIR,
+        retentionDays: TRASH_RETENTION_DAYS
+    });
+
+    // 变更序列：记录每个条目最近一次变更，供镜像站点增量同步
+    const changeFeed = createChangeFeed(storage.changes);
+
+    // 实时事件：向打开页面的访客推送条目变更和最新统计
+    const liveEvents = createEventStream();
+
+    // 获取客户端IP：按 trust proxy 设置解析（经过可信代理时取代理转发的地址），不直接读取可伪造的代理头
+    // 通过 natapp 等本机穿透工具访问时需要配置 trustProxy（如 loopback），否则所有访客都是 127.0.0.1
+    function getClientIp(req) {
+        const clientIp = req.ip || req.socket.remoteAddress || 'unknown';
+
+        // 处理IPv4映射的IPv6地址
+        return clientIp.startsWith('::ffff:') ? clientIp.substring(7) : clientIp;
+    }
+
+    // 操作日志中间件
+    async function logOperation(req, res, next) {
+        const clientIp = getClientIp(req);
+        const operationDesc = req.headers['x-operation-desc']
+            ? decodeURIComponent(req.headers['x-operation-desc'])
+            : `${req.method} ${req.path}`;
+
+        // changes 由各接口通过 recordChanges 填写，记录条目变更前后的完整状态
+        const logEntry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ip: clientIp,
+            operation: operationDesc,
+            method: req.method,
+            path: req.path,
+            admin: res.locals.admin ? res.locals.admin.sub : null,
+            userAgent: req.headers['user-agent'],
+            changes: []
+        };
+
+        // 记录操作日志，只保留配置的天数内的记录
+        const retentionStart = new Date();
+        retentionStart.setDate(retentionStart.getDate() - config.retention.auditLogDays);
+
+        try {
+            await storage.auditLog.update(logs => [...logs, logEntry].filter(log => {
+                return new Date(log.timestamp) > retentionStart;
+            }));
+        } catch (error) {
+            console.error('Error writing operation log:', error);
+        }
+
+        // 传递操作描述和日志记录到后续处理
+        res.locals.operationDesc = operationDesc;
+        res.locals.auditEntry = logEntry;
+
+        next();
+    }
+
+    // 在本次请求的操作日志中记录条目变更（before 为 null 表示新增，after 为 null 表示删除）
+    async function recordChanges(res, changes) {
+        try {
+            await changeFeed.record(changes.map(({ before, after }) => (before || after).id));
+        } catch (error) {
+            console.error('Error writing change feed:', error);
+        }
+        publishChanges(changes);
+
+        const logEntry = res.locals.auditEntry;
+        if (!logEntry || changes.length === 0) return;
+
+        changes.forEach(({ before, after }) => {
+            logEntry.changes.push({
+                birdId: (before || after).id,
+                before: before ? structuredClone(before) : null,
+                after: after ? structuredClone(after) : null
+            });
+        });
+
+        try {
+            await storage.auditLog.save();
+        } catch (error) {
+            console.error('Error writing operation log:', error);
+        }
+    }
+
+    // 推送条目变更：只推送公开条目的变化（审核通过视为新增，隐藏视为删除），之后推送最新统计
+    function publishChanges(changes) {
+        const events = changes.map(({ before, after }) => {
+            const wasPublished = Boolean(before) && isPublished(before);
+            const nowPublished = Boolean(after) && isPublished(after);
+            if (nowPublished) {
+                // 广播的数据不含某个访客的点赞状态
+                const bird = { ...after, likes: likeCounts.get(after.id) || 0 };
+                return wasPublished ? ['updated', { bird }] : ['created', { bird }];
+            }
+            return wasPublished ? ['deleted', { id: before.id }] : null;
+        }).filter(Boolean);
+
+        if (events.length === 0) return;
+        events.forEach(([type, data]) => liveEvents.publish(type, data));
+        liveEvents.publish('stats', getBirdStats());
+    }
+
+    // 操作频率限制：滑动窗口内按操作类型分别计数
+    const OPERATION_WINDOW_MS = config.operations.windowHours * 60 * 60 * 1000;
+    const OPERATION_LIMITS = {
+        create: config.operations.create,
+        edit: config.operations.edit,
+        delete: config.operations.delete,
+        report: config.operations.report
+    };
+
+    // 不受操作频率限制的IP
+    const OPERATION_ALLOWLIST = config.operations.allowlist;
+
+    // 各操作限制器共用的命中记录（保存在 ip_operations.json）
+    const hitLog = createHitLog(storage.rateLimits);
+
+    // 管理员和白名单IP不受操作频率限制
+    function isRateLimitExempt(req, res) {
+        return Boolean(res.locals.admin) || OPERATION_ALLOWLIST.includes(getClientIp(req));
+    }
+
+    // 创建某类操作的频率限制中间件
+    function createOperationLimiter(action) {
+        return rateLimit({
+            windowMs: OPERATION_WINDOW_MS,
+            limit: OPERATION_LIMITS[action],
+            standardHeaders: true,
+            legacyHeaders: false,
+            store: createSlidingWindowStore(hitLog, action),
+            keyGenerator: (req) => getClientIp(req),
+            // 校验失败或处理出错的请求不计入次数
+            skipFailedRequests: true,
+            skip: isRateLimitExempt,
+            handler: (req, res) => {
+                console.log(`Operation limit exceeded for IP: ${getClientIp(req)} (${action})`);
+                sendError(res, 'OPERATION_LIMIT_EXCEEDED', {
+                    action: action,
+                    limit: req.rateLimit.limit,
+                    remaining: 0,
+                    retryAfter: getRetryAfter(req)
+                });
+            }
+        });
+    }
+
+    // 频率限制恢复前需要等待的秒数
+    function getRetryAfter(req) {
+        return Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+    }
+
+    const operationLimiters = {
+        create: createOperationLimiter('create'),
+        edit: createOperationLimiter('edit'),
+        delete: createOperationLimiter('delete'),
+        report: createOperationLimiter('report')
+    };
+
+    // 模拟鸟类数据
+    let birds = [];
+
+    // 名称搜索索引（支持拼音、首字母、繁简和容错匹配）
+    const searchIndex = createSearchIndex();
+
+    // 点赞统计：条目ID -> 点赞数，以及已点赞的“条目ID:客户端”集合
+    const likeCounts = new Map();
+    const likedKeys = new Set();
+
+    // 列表支持的排序方式
+    const SORT_OPTIONS = ['newest', 'oldest', 'likes', 'random'];
+
+    // 点赞接口的频率限制：每分钟30次
+    const likeLimiter = rateLimit({
+        windowMs: 60 * 1000,
+        limit: 30,
+        standardHeaders: true,
+        legacyHeaders: false,
+        keyGenerator: (req) => getClientIp(req),
+        handler: (req, res) => sendError(res, 'RATE_LIMITED', { retryAfter: getRetryAfter(req) })
+    });
+
+    // 长图导出的频率限制：生成长图比较耗资源，每分钟10次
+    const posterLimiter = rateLimit({
+        windowMs: 60 * 1000,
+        limit: 10,
+        standardHeaders: true,
+        legacyHeaders: false,
+        keyGenerator: (req) => getClientIp(req),
+        handler: (req, res) => sendError(res, 'RATE_LIMITED', { retryAfter: getRetryAfter(req) })
+    });
+
+    // 客户端标识：对IP做哈希，避免明文保存访客IP
+    function getClientKey(req) {
+        return crypto.createHash('sha256').update(String(getClientIp(req))).digest('hex').substring(0, 32);
+    }
+
+    // 根据点赞记录重建统计
+    function rebuildLikeIndex() {
+        likeCounts.clear();
+        likedKeys.clear();
+        storage.likes.get().forEach(like => {
+            likeCounts.set(like.birdId, (likeCounts.get(like.birdId) || 0) + 1);
+            likedKeys.add(`${like.birdId}:${like.client}`);
+        });
+    }
+
+    // 为条目附加点赞数和当前客户端的点赞状态
+    function withLikes(bird, clientKey) {
+        return {
+            ...bird,
+            likes: likeCounts.get(bird.id) || 0,
+            liked: likedKeys.has(`${bird.id}:${clientKey}`)
+        };
+    }
+
+    // 彻底删除条目时一并清除其点赞记录
+    async function removeLikes(ids) {
+        try {
+            await storage.likes.update(likes => likes.filter(like => !ids.includes(like.birdId)));
+            rebuildLikeIndex();
+        } catch (error) {
+            console.error('Error removing likes:', error);
+        }
+    }
+
+    // 按指定方式排序条目（条目默认按新到旧排列）
+    function sortBirds(list, sort, seed) {
+        switch (sort) {
+            case 'oldest':
+                return [...list].reverse();
+            case 'likes':
+                return [...list].sort((a, b) => (likeCounts.get(b.id) || 0) - (likeCounts.get(a.id) || 0));
+            // 使用可复现的随机数，保证随机排序翻页时顺序一致
+            case 'random':
+                return shuffle(list, createRandom(seed));
+            default:
+                return list;
+        }
+    }
+
+    // 审核状态：公开上传的条目默认待审核，旧数据没有状态字段视为已通过
+    // 举报默认只进入管理员的待处理列表；配置了 reports.hideThreshold 时，被足够多访客举报的条目会自动隐藏
+    const STATUS_PENDING = 'pending';
+    const STATUS_APPROVED = 'approved';
+    const STATUS_HIDDEN = 'hidden';
+
+    // 判断条目是否对公众可见
+    function isPublished(bird) {
+        return !bird.status || bird.status === STATUS_APPROVED;
+    }
+
+    // 判断条目是否在审核队列中
+    function isPending(bird) {
+        return bird.status === STATUS_PENDING;
+    }
+
+    // 获取公开可见的条目
+    function getPublishedBirds() {
+        return birds.filter(isPublished);
+    }
+
+    // 公开条目的图片数与不重复的名称数
+    function getBirdStats() {
+        const publishedBirds = getPublishedBirds();
+        return {
+            count: publishedBirds.length,
+            type: new Set(publishedBirds.map(bird => bird.name)).size
+        };
+    }
+
+    // 举报原因分类
+    const REPORT_REASONS = ['offensive', 'wrong', 'duplicate', 'other'];
+
+    // 举报补充说明的长度限制
+    const REPORT_NOTE_LIMIT = 200;
+
+    // 条目收到该数量的未处理举报（不同客户端）后自动隐藏，0 表示不自动隐藏，只等待管理员处理
+    const REPORT_HIDE_THRESHOLD = config.reports.hideThreshold;
+
+    // 举报处理状态
+    const REPORT_OPEN = 'open';
+    const REPORT_DISMISSED = 'dismissed';
+    const REPORT_RESOLVED = 'resolved';
+
+    // 获取条目的未处理举报
+    function getOpenReports(birdId) {
+        return storage.reports.get().filter(report => report.birdId === birdId && report.status === REPORT_OPEN);
+    }
+
+    // 将条目的未处理举报标记为指定状态
+    async function closeReports(ids, status) {
+        try {
+            const resolvedAt = new Date().toISOString();
+            await storage.reports.update(reports => reports.map(report => {
+                if (!ids.includes(report.birdId) || report.status !== REPORT_OPEN) return report;
+                return { ...report, status, resolvedAt };
+            }));
+        } catch (error) {
+            console.error('Error closing reports:', error);
+        }
+    }
+
+    // 条目可选字段的长度限制
+    const DETAIL_LIMITS = {
+        description: 200,
+        source: 100,
+        tagCount: 10,
+        tagLength: 20,
+        aliasCount: 5,
+        aliasLength: NAME_MAX_LENGTH
+    };
+
+    // 将逗号分隔的字符串或数组整理为去重后的列表
+    function normalizeList(value) {
+        const list = Array.isArray(value) ? value : String(value).split(/[,，、]/);
+        return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+    }
+
+    // 条目ID（路径参数）
+    const BIRD_ID = { type: 'integer', minimum: 1 };
+
+    // 条目名称：不能为空白
+    const ENTRY_NAME = { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH, pattern: '\\S' };
+
+    // 上传的图片文件
+    const IMAGE_FILE = {
+        type: 'string',
+        format: 'binary',
+        description: `图片文件（JPEG / PNG / GIF / WebP，不超过${config.limits.imageSizeMB}MB）`
+    };
+
+    // 条目的可选字段（表单中的标签和别名可以是逗号分隔的字符串），传入空值会移除对应字段
+    const ENTRY_DETAIL_FIELDS = {
+        description: { type: 'string', maxLength: DETAIL_LIMITS.description },
+        source: { type: 'string', maxLength: DETAIL_LIMITS.source },
+        tags: {
+            type: 'array',
+            maxItems: DETAIL_LIMITS.tagCount,
+            items: { type: 'string', maxLength: DETAIL_LIMITS.tagLength }
+        },
+        aliases: {
+            type: 'array',
+            maxItems: DETAIL_LIMITS.aliasCount,
+            items: { type: 'string', maxLength: DETAIL_LIMITS.aliasLength }
+        }
+    };
+
+    // 整理条目的可选字段（说明、出处、标签、别名），只返回请求中出现的字段
+    function parseEntryDetails(body) {
+        const details = {};
+        ['description', 'source'].forEach(key => {
+            if (body[key] !== undefined) details[key] = body[key].trim();
+        });
+        ['tags', 'aliases'].forEach(key => {
+            if (body[key] !== undefined) details[key] = normalizeList(body[key]);
+        });
+        return details;
+    }
+
+    // 将可选字段写入条目，空值会移除对应字段
+    function applyEntryDetails(bird, details) {
+        Object.entries(details).forEach(([key, value]) => {
+            if (value === '' || (Array.isArray(value) && value.length === 0)) {
+                delete bird[key];
+            } else {
+                bird[key] = value;
+            }
+        });
+        return bird;
+    }
+
+    // 请求体中的条目ID列表
+    const ID_LIST = { type: 'array', minItems: 1, items: BIRD_ID };
+
+    // 将条目或其被替换的图片移入回收站（仍被其它条目使用的图片保留原位），res 为空表示由镜像同步触发
+    async function moveToTrash(type, bird, res) {
+        const inUse = new Set();
+        birds.forEach(item => listImageFiles(item).forEach(file => inUse.add(file)));
+
+        try {
+            await trash.add(type, bird, {
+                deletedBy: res && res.locals.admin ? res.locals.admin.sub : null,
+                keepFiles: Array.from(inUse)
+            });
+        } catch (error) {
+            console.error('Error moving to trash:', error);
+        }
+    }
+
+    // 彻底删除回收站记录，被删除条目的点赞一并清除
+    async function purgeTrash(ids) {
+        const purged = await trash.purge(ids);
+        const removedIds = purged
+            .filter(item => item.type === TRASH_ENTRY && !birds.some(bird => bird.id === item.birdId))
+            .map(item => item.birdId);
+
+        if (removedIds.length > 0) {
+            await removeLikes(removedIds);
+        }
+        return purged;
+    }
+
+    // 清理超过保留期的回收站记录（定时执行）
+    async function purgeExpiredTrash() {
+        const expired = trash.getExpired();
+        if (expired.length === 0) return;
+
+        await purgeTrash(expired.map(item => item.id));
+        console.log(`Purged ${expired.length} expired trash items`);
+    }
+
+    // 初始化数据（读取存储并迁移旧格式）
+    async function initData() {
+        await storage.init();
+        birds = storage.entries.get();
+        rebuildLikeIndex();
+    }
+
+    // 为旧数据补算图片感知哈希（启动时执行，完成后保存），保证重复检测覆盖所有已有图片
+    async function backfillImageHashes() {
+        const missing = birds.filter(bird => bird.imageUrl && !bird.phash);
+        if (missing.length === 0) return;
+
+        console.log(`Computing image hashes for ${missing.length} entries...`);
+
+        for (const bird of missing) {
+            // 启动过程中关闭时停止补算，已算出的部分照常保存，其余下次启动时继续
+            if (closing) break;
+            try {
+                bird.phash = await computeImageHash(path.join(IMAGES_DIR, bird.imageUrl));
+            } catch (error) {
+                console.error(`Error hashing image ${bird.imageUrl}:`, error.message);
+            }
+        }
+
+        await saveData();
+    }
+
+    // 新条目的ID：不小于当前时间戳，且大于现有的全部ID（同一毫秒内的多次上传也不会重复）
+    function nextBirdId() {
+        return birds.reduce((max, bird) => Math.max(max, bird.id + 1), Date.now());
+    }
+
+    // 保存数据
+    async function saveData() {
+        try {
+            await storage.entries.save(birds);
+        } catch (error) {
+            console.error('Error saving data:', error);
+        }
+    }
+
+    // 页面对外的路径前缀：未指定时使用挂载路径（独立运行时为空）
+    function getBasePath(req) {
+        return options.basePath !== undefined ? options.basePath.replace(/\/+$/, '') : req.baseUrl;
+    }
+
+    // 读取首页模板，并将 <base> 指向路径前缀，页面中的相对地址都基于它解析
+    async function readIndexPage(req) {
+        const template = await fs.readFile(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+        return renderIndexPage(template, getBasePath(req));
+    }
+
+    // 发送首页（前端路由渲染对应视图）
+    async function sendIndexPage(req, res) {
+        try {
+            res.set('Cache-Control', 'no-cache');
+            res.type('html');
+            res.send(await readIndexPage(req));
+        } catch (error) {
+            console.error('Error reading index page:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    }
+
+    // 根路径路由
+    app.get('/', sendIndexPage);
+
+    // Web 应用清单：名称取自站点配置
+    app.get('/manifest.webmanifest', (req, res) => {
+        res.type('application/manifest+json');
+        res.vary('Accept-Language');
+        res.send(JSON.stringify({
+            name: config.site.title,
+            short_name: config.site.title,
+            description: translate(getLocale(req), 'pages.manifestDescription'),
+            lang: getLocale(req),
+            // 相对地址基于清单自身的地址解析，挂载到子路径下也能使用
+            start_url: './',
+            scope: './',
+            display: 'standalone',
+            background_color: '#f9fafb',
+            theme_color: '#111111',
+            icons: [
+                { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+                { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+            ]
+        }));
+    });
+
+    // 种类页面与测验页面由前端路由渲染
+    app.get(['/species', '/species/:name', '/quiz'], sendIndexPage);
+
+    // 单个条目的页面：服务端填入分享卡片标签与条目内容，再由前端渲染详情视图
+    app.get('/bird/:id', async (req, res) => {
+        try {
+            const id = /^\d+$/.test(req.params.id) ? Number(req.params.id) : null;
+            const bird = birds.find(bird => bird.id === id);
+            const template = await readIndexPage(req);
+
+            res.set('Cache-Control', 'no-cache');
+            res.type('html');
+
+            // 不存在或未公开的条目返回原始首页，由前端显示未找到
+            if (!bird || !isPublished(bird)) {
+                return res.status(404).send(template);
+            }
+
+            res.vary('Accept-Language');
+            res.send(renderBirdPage(template, withLikes(bird, getClientKey(req)), config.site, getLocale(req)));
+        } catch (error) {
+            console.error('Error rendering bird page:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 接口描述（OpenAPI 3.1），由各接口注册时的 schema 生成
+    app.get('/api/openapi.json', (req, res) => {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(api.document([{ url: config.site.url }]));
+    });
+
+    // 管理员登录
+    api.post('/api/admin/login', {
+        summary: '管理员登录，获取令牌',
+        tags: ['admin'],
+        body: {
+            type: 'object',
+            required: ['username', 'password'],
+            properties: {
+                username: { type: 'string', maxLength: 100 },
+                password: { type: 'string', maxLength: 200 }
+            }
+        },
+        responses: { 200: ref('LoginResult') },
+        errors: ['INVALID_CREDENTIALS', 'LOGIN_RATE_LIMITED', 'LOGIN_DISABLED']
+    }, loginLimiter, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        if (!auth.enabled) {
+            return sendError(res, 'LOGIN_DISABLED');
+        }
+
+        const { username, password } = res.locals.body;
+        const session = auth.login(username, password);
+
+        if (!session) {
+            console.log(`Admin login failed from IP: ${getClientIp(req)}`);
+            return sendError(res, 'INVALID_CREDENTIALS');
+        }
+
+        res.json(session);
+    });
+
+    // 查询当前管理员会话
+    api.get('/api/admin/session', {
+        summary: '查询当前管理员会话',
+        tags: ['admin'],
+        responses: { 200: ref('Session') }
+    }, auth.optionalAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            isAdmin: Boolean(res.locals.admin),
+            username: res.locals.admin ? res.locals.admin.sub : null,
+            loginEnabled: auth.enabled
+        });
+    });
+
+    // 随机排序与测验使用的种子：32位无符号整数
+    const SEED = { type: 'integer', minimum: 0, maximum: 0xFFFFFFFF };
+
+    // 获取鸟类列表
+    api.get('/api/birds', {
+        summary: '分页获取公开的条目',
+        tags: ['birds'],
+        query: {
+            page: { type: 'integer', minimum: 1, default: 1 },
+            search: { type: 'string', maxLength: 100, description: '按名称和别名搜索（支持拼音、首字母和繁体）' },
+            tag: { type: 'string', maxLength: DETAIL_LIMITS.tagLength },
+            sort: { type: 'string', enum: SORT_OPTIONS, description: '不传时按新到旧，搜索时按相关度' },
+            seed: { ...SEED, description: '随机排序的种子，翻页时传回第一页返回的 seed' }
+        },
+        responses: { 200: ref('BirdList') }
+    }, async (req, res) => {
+        try {
+            const { page, search = '', sort = null } = res.locals.query;
+            const tag = (res.locals.query.tag || '').trim().toLowerCase();
+            const seed = res.locals.query.seed !== undefined ? res.locals.query.seed : Math.floor(Math.random() * 2147483647);
+            const pageSize = config.pageSize;
+
+            // 列表包含当前客户端的点赞状态，不允许共享缓存
+            res.set('Cache-Control', 'private, no-cache');
+
+            let filteredBirds = getPublishedBirds();
+
+            // 按标签筛选
+            if (tag) {
+                filteredBirds = filteredBirds.filter(bird =>
+                    Array.isArray(bird.tags) && bird.tags.some(item => item.toLowerCase() === tag)
+                );
+            }
+
+            // 按名称和别名搜索，结果按相关度排序
+            if (search) {
+                filteredBirds = searchIndex.search(filteredBirds, search);
+            }
+
+            // 指定排序方式时覆盖默认顺序（搜索时默认按相关度）
+            if (sort) {
+                filteredBirds = sortBirds(filteredBirds, sort, seed);
+            }
+
+            const startIndex = (page - 1) * pageSize;
+            const endIndex = startIndex + pageSize;
+            const clientKey = getClientKey(req);
+            const paginatedBirds = filteredBirds.slice(startIndex, endIndex).map(bird => withLikes(bird, clientKey));
+
+            const hasMore = endIndex < filteredBirds.length;
+
+            res.json({
+                birds: paginatedBirds,
+                hasMore: hasMore,
+                ...(sort === 'random' ? { seed } : {})
+            });
+        } catch (error) {
+            console.error('Error fetching birds:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取鸟类总数和种类数
+    api.get('/api/birds/count', {
+        summary: '公开条目的图片数和名称数',
+        tags: ['birds'],
+        responses: { 200: ref('BirdStats') }
+    }, async (req, res) => {
+        try {
+            // 设置响应头，禁止缓存
+            res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+            res.set('Pragma', 'no-cache');
+            res.set('Expires', '0');
+
+            res.json(getBirdStats());
+        } catch (error) {
+            console.error('Error fetching bird count:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 实时事件流（Server-Sent Events）：created / updated / deleted / stats，断线重连时补发错过的事件
+    api.get('/api/events', {
+        summary: '订阅条目变更的实时事件流',
+        description: '事件类型：created / updated / deleted / stats，服务重启或错过的事件过多时发送 reset。'
+            + '重连时通过 Last-Event-ID 请求头（或 lastEventId 参数）补收错过的事件',
+        tags: ['birds'],
+        query: { lastEventId: { type: 'integer', minimum: 0 } },
+        responses: { 200: { content: { 'text/event-stream': {} } } },
+        errors: ['TOO_MANY_STREAMS']
+    }, liveEvents.handler);
+
+    // 测验的题数与选项数参数
+    const QUIZ_ROUNDS = { type: 'integer', minimum: QUIZ_LIMITS.rounds.min, maximum: QUIZ_LIMITS.rounds.max };
+    const QUIZ_CHOICES = { type: 'integer', minimum: QUIZ_LIMITS.choices.min, maximum: QUIZ_LIMITS.choices.max };
+
+    // 题目指纹与图片令牌的签名密钥：每次启动随机生成，重启后进行中的测验会提示题目已变化并重新开始
+    const QUIZ_SECRET = crypto.randomBytes(32);
+
+    // 生成测验：未指定种子时随机生成，同一种子和条目总是得到同样的题目，可用于分享挑战
+    api.get('/api/quiz', {
+        summary: '生成一组“找出真夜鹭”测验题',
+        tags: ['quiz'],
+        query: {
+            seed: { ...SEED, description: '不传时随机生成，同一种子得到同样的题目' },
+            rounds: { ...QUIZ_ROUNDS, default: QUIZ_LIMITS.rounds.default },
+            choices: { ...QUIZ_CHOICES, default: QUIZ_LIMITS.choices.default }
+        },
+        responses: { 200: ref('Quiz') },
+        errors: ['QUIZ_NOT_ENOUGH_NAMES']
+    }, (req, res) => {
+        try {
+            const { rounds, choices } = res.locals.query;
+            const seed = res.locals.query.seed !== undefined ? res.locals.query.seed : crypto.randomInt(0x7FFFFFFF);
+
+            const pool = createQuizPool(getPublishedBirds(), QUIZ_SECRET);
+            res.set('Cache-Control', 'no-store');
+            res.json({ seed, choices, rounds: generateQuiz(pool, seed, rounds, choices) });
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return sendError(res, error);
+            }
+            console.error('Error generating quiz:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 校验测验答案，并返回正确答案对应的条目
+    api.post('/api/quiz/answer', {
+        summary: '提交测验答案',
+        tags: ['quiz'],
+        body: {
+            type: 'object',
+            required: ['seed', 'index', 'choices', 'key', 'choice'],
+            properties: {
+                seed: SEED,
+                index: { type: 'integer', minimum: 0, maximum: QUIZ_LIMITS.rounds.max - 1 },
+                choices: QUIZ_CHOICES,
+                key: { type: 'string', maxLength: 64 },
+                choice: { type: 'integer', minimum: 0, description: '选择的序号，小于 choices' }
+            }
+        },
+        responses: { 200: ref('QuizAnswerResult') },
+        errors: ['QUIZ_NOT_ENOUGH_NAMES', 'QUIZ_CHANGED']
+    }, (req, res) => {
+        try {
+            const { seed, index, choices, key, choice } = res.locals.body;
+
+            if (choice >= choices) {
+                return sendError(res, validationError({ in: 'body', field: 'choice', rule: 'maximum', limit: choices - 1 }));
+            }
+
+            const pool = createQuizPool(getPublishedBirds(), QUIZ_SECRET);
+            const result = checkAnswer(pool, { seed, index, choices, key, choice });
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                correct: result.correct,
+                answer: result.answer,
+                bird: { id: result.bird.id, name: result.bird.name }
+            });
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return sendError(res, error);
+            }
+            console.error('Error checking quiz answer:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 题目中的图片：按令牌重新出题后返回对应条目的图片，不透露图片的文件名
+    api.get('/api/quiz/images/:token', {
+        summary: '测验题目中的图片',
+        tags: ['quiz'],
+        params: { token: { type: 'string', pattern: '^[\\w-]+\\.[\\w-]+$', maxLength: 300 } },
+        query: { size: { type: 'string', enum: QUIZ_IMAGE_SIZES, default: 'medium' } },
+        responses: { 200: { content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } } },
+        errors: ['IMAGE_NOT_FOUND', 'QUIZ_NOT_ENOUGH_NAMES', 'QUIZ_CHANGED']
+    }, (req, res) => {
+        try {
+            const pool = createQuizPool(getPublishedBirds(), QUIZ_SECRET);
+            const bird = resolveQuizImage(pool, res.locals.params.token);
+            const variant = bird && bird.images && bird.images[res.locals.query.size];
+            const file = variant && variant.jpeg ? variant.jpeg : bird && bird.imageUrl;
+            if (!file) {
+                return sendError(res, 'IMAGE_NOT_FOUND');
+            }
+
+            res.set('Cache-Control', 'private, max-age=3600');
+            res.sendFile(file, { root: IMAGES_DIR }, (error) => {
+                if (error && !res.headersSent) {
+                    sendError(res, 'IMAGE_NOT_FOUND');
+                }
+            });
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return sendError(res, error);
+            }
+            console.error('Error serving quiz image:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 长图标题与副标题的长度上限，列数范围，以及手动挑选的条目数上限（默认标题与副标题见 locales/ 中的 poster 文案）
+    const POSTER_TITLE_LIMIT = 50;
+    const POSTER_SUBTITLE_LIMIT = 100;
+    const POSTER_COLUMNS = { min: 1, max: 8, default: 4 };
+    const POSTER_IDS_LIMIT = 500;
+
+    // 指向本站的二维码（首次使用时生成）
+    let posterQrCode = null;
+    async function getPosterQrCode() {
+        if (!posterQrCode) {
+            posterQrCode = await QRCode.toBuffer(config.site.url, { type: 'png', margin: 1, width: 120 });
+        }
+        return posterQrCode;
+    }
+
+    // 长图导出参数
+    const POSTER_QUERY = {
+        format: { type: 'string', enum: [...Object.keys(POSTER_FORMATS), 'jpg'], default: 'jpeg' },
+        columns: { type: 'integer', minimum: POSTER_COLUMNS.min, maximum: POSTER_COLUMNS.max, default: POSTER_COLUMNS.default },
+        title: { type: 'string', maxLength: POSTER_TITLE_LIMIT, description: '不传时使用默认标题，传入空字符串表示不显示' },
+        subtitle: { type: 'string', maxLength: POSTER_SUBTITLE_LIMIT, description: '不传时显示站点名称和地址' },
+        ids: {
+            type: 'array',
+            minItems: 1,
+            maxItems: POSTER_IDS_LIMIT,
+            items: BIRD_ID,
+            description: '手动挑选的条目（逗号分隔），传入时忽略 search / tag'
+        },
+        search: { type: 'string', maxLength: 100 },
+        tag: { type: 'string', maxLength: DETAIL_LIMITS.tagLength },
+        qr: { type: 'boolean', default: false, description: '在页脚加入指向本站的二维码' },
+        watermark: { type: 'boolean', default: false, description: '在图片上加入站点地址水印' }
+    };
+
+    /**
+     * 整理长图导出参数（已按 POSTER_QUERY 校验）
+     * 条目范围：ids 指定手动挑选的条目，否则按 search / tag 筛选，都不传时为全部公开条目
+     * @param {Object} query - 查询参数
+     * @param {string} locale - 默认标题与副标题使用的语言
+     * @returns {Promise<Object>} - { format, birds, layout }
+     */
+    async function parsePosterQuery(query, locale) {
+        const format = query.format === 'jpg' ? 'jpeg' : query.format;
+        const columns = query.columns;
+
+        // 未指定时使用默认页眉，传入空字符串表示不显示
+        const title = query.title === undefined ? translate(locale, 'poster.title') : query.title.trim();
+        const subtitle = query.subtitle === undefined
+            ? translate(locale, 'poster.subtitle', config.site)
+            : query.subtitle.trim();
+
+        let posterBirds = getPublishedBirds();
+        if (query.ids !== undefined) {
+            const ids = new Set(query.ids);
+            posterBirds = posterBirds.filter(bird => ids.has(bird.id));
+        } else {
+            const tag = String(query.tag || '').trim().toLowerCase();
+            const search = String(query.search || '').trim();
+            if (tag) {
+                posterBirds = posterBirds.filter(bird =>
+                    Array.isArray(bird.tags) && bird.tags.some(item => item.toLowerCase() === tag)
+                );
+            }
+            if (search) {
+                posterBirds = searchIndex.search(posterBirds, search);
+            }
+        }
+
+        return {
+            format,
+            birds: posterBirds,
+            layout: {
+                imagesDir: IMAGES_DIR,
+                columns,
+                title,
+                subtitle,
+                qr: query.qr ? await getPosterQrCode() : null,
+                watermark: query.watermark ? config.site.url : ''
+            }
+        };
+    }
+
+    // 长图导出的条目数和页数（供导出对话框显示进度）
+    api.get('/api/export/poster/pages', {
+        summary: '长图导出的条目数和页数',
+        tags: ['export'],
+        query: POSTER_QUERY,
+        responses: { 200: ref('PosterPages') }
+    }, async (req, res) => {
+        try {
+            const parsed = await parsePosterQuery(res.locals.query, getLocale(req));
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                count: parsed.birds.length,
+                ...paginatePoster(parsed.birds.length, parsed.layout)
+            });
+        } catch (error) {
+            console.error('Error paginating poster:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 在服务端生成图鉴长图：图片格式按 page 分页生成，PDF 一次生成全部页面
+    api.get('/api/export/poster', {
+        summary: '生成图鉴长图',
+        description: '图片格式按 page 分页生成（总页数见 X-Poster-Pages 响应头），PDF 一次生成全部页面',
+        tags: ['export'],
+        query: {
+            ...POSTER_QUERY,
+            page: { type: 'integer', minimum: 1, default: 1, description: '页码，PDF 格式忽略' }
+        },
+        responses: {
+            200: {
+                content: Object.fromEntries(Object.values(POSTER_FORMATS).map(({ contentType }) => [
+                    contentType, { schema: { type: 'string', format: 'binary' } }
+                ]))
+            }
+        },
+        errors: ['PAGE_OUT_OF_RANGE', 'RATE_LIMITED']
+    }, posterLimiter, async (req, res) => {
+        try {
+            const parsed = await parsePosterQuery(res.locals.query, getLocale(req));
+
+            const { format, birds: posterBirds, layout } = parsed;
+            const { contentType, extension } = POSTER_FORMATS[format];
+            const { perPage, pages } = paginatePoster(posterBirds.length, layout);
+            const stamp = formatFileStamp(new Date());
+
+            if (format === 'pdf') {
+                const pdf = await renderPosterPdf(posterBirds, layout);
+                res.set({
+                    'Content-Type': contentType,
+                    'Content-Disposition': `attachment; filename="yeluyelu-${stamp}.${extension}"`,
+                    'Cache-Control': 'no-store',
+                    'X-Poster-Pages': String(pages)
+                });
+                return res.send(pdf);
+            }
+
+            const page = res.locals.query.page;
+            if (page > pages) {
+                return sendError(res, 'PAGE_OUT_OF_RANGE', { pages });
+            }
+
+            const image = await renderPoster(posterBirds.slice((page - 1) * perPage, page * perPage), { ...layout, format });
+            const suffix = pages > 1 ? `-${page}` : '';
+            res.set({
+                'Content-Type': contentType,
+                'Content-Disposition': `attachment; filename="yeluyelu-${stamp}${suffix}.${extension}"`,
+                'Cache-Control': 'no-store',
+                'X-Poster-Page': String(page),
+                'X-Poster-Pages': String(pages)
+            });
+            res.send(image);
+        } catch (error) {
+            console.error('Error rendering poster:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取种类列表：每个名称的图片数量和代表图片
+    api.get('/api/species', {
+        summary: '按名称分组的种类列表',
+        tags: ['species'],
+        responses: { 200: ref('SpeciesList') }
+    }, async (req, res) => {
+        try {
+            const speciesMap = new Map();
+
+            // 条目按新到旧排列，每个名称的第一条作为代表图片
+            getPublishedBirds().forEach(bird => {
+                if (!speciesMap.has(bird.name)) {
+                    speciesMap.set(bird.name, { name: bird.name, count: 0, cover: bird });
+                }
+                speciesMap.get(bird.name).count++;
+            });
+
+            const species = Array.from(speciesMap.values())
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'zh-CN'));
+
+            res.json({ species });
+        } catch (error) {
+            console.error('Error fetching species:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取某个名称下的所有图片
+    api.get('/api/species/:name', {
+        summary: '某个名称下的全部图片',
+        tags: ['species'],
+        params: { name: { type: 'string', minLength: 1, maxLength: 100 } },
+        responses: { 200: ref('SpeciesDetail') },
+        errors: ['SPECIES_NOT_FOUND']
+    }, async (req, res) => {
+        try {
+            const { name } = res.locals.params;
+            const speciesBirds = getPublishedBirds().filter(bird => bird.name === name);
+
+            if (speciesBirds.length === 0) {
+                return sendError(res, 'SPECIES_NOT_FOUND');
+            }
+
+            const clientKey = getClientKey(req);
+            res.set('Cache-Control', 'private, no-cache');
+            res.json({
+                name: name,
+                count: speciesBirds.length,
+                birds: speciesBirds.map(bird => withLikes(bird, clientKey))
+            });
+        } catch (error) {
+            console.error('Error fetching species:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 前端使用的公开配置（站点信息与各项限制）
+    api.get('/api/config', {
+        summary: '站点信息与各项限制',
+        tags: ['site'],
+        responses: { 200: ref('SiteConfig') }
+    }, (req, res) => {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json({
+            site: config.site,
+            pageSize: config.pageSize,
+            limits: {
+                nameLength: NAME_MAX_LENGTH,
+                imageSize: MAX_IMAGE_SIZE,
+                uploadSize: MAX_UPLOAD_SIZE,
+                ...DETAIL_LIMITS,
+                reportNote: REPORT_NOTE_LIMIT
+            },
+            operations: {
+                windowMs: OPERATION_WINDOW_MS,
+                limits: OPERATION_LIMITS
+            },
+            retention: config.retention
+        });
+    });
+
+    // 增量变更每页条数的默认值和上限
+    const CHANGES_PAGE_SIZE = 100;
+    const CHANGES_PAGE_LIMIT = 500;
+
+    // 增量变更：镜像站点按游标拉取新增、修改和删除的条目（未公开的条目视为已删除）
+    api.get('/api/changes', {
+        summary: '增量变更（供镜像站点同步）',
+        tags: ['mirror'],
+        query: {
+            since: { type: 'integer', minimum: 0, default: 0, description: '上次返回的 cursor' },
+            limit: { type: 'integer', minimum: 1, maximum: CHANGES_PAGE_LIMIT, default: CHANGES_PAGE_SIZE }
+        },
+        responses: { 200: ref('ChangesPage') }
+    }, (req, res) => {
+        const { since, limit } = res.locals.query;
+        const page = changeFeed.list(since, limit);
+        const birdMap = new Map(birds.map(bird => [bird.id, bird]));
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            changes: page.records.map(record => {
+                const bird = birdMap.get(record.birdId);
+                const change = { seq: record.seq, id: record.birdId, updatedAt: record.timestamp };
+                if (!bird || !isPublished(bird)) {
+                    return { ...change, deleted: true };
+                }
+                return { ...change, entry: toMirrorEntry(bird, config.site.url) };
+            }),
+            cursor: page.cursor,
+            hasMore: page.hasMore
+        });
+    });
+
+    // 查询当前客户端各类操作的剩余次数
+    api.get('/api/limits', {
+        summary: '当前客户端各类操作的剩余次数',
+        tags: ['site'],
+        responses: { 200: ref('OperationLimits') }
+    }, auth.optionalAdmin, async (req, res) => {
+        try {
+            const exempt = isRateLimitExempt(req, res);
+            const clientIp = getClientIp(req);
+            const limits = {};
+
+            for (const [action, limit] of Object.entries(OPERATION_LIMITS)) {
+                const { totalHits, resetTime } = await operationLimiters[action].getKey(clientIp);
+                limits[action] = {
+                    limit: limit,
+                    remaining: exempt ? limit : Math.max(limit - totalHits, 0),
+                    resetTime: !exempt && totalHits > 0 ? resetTime.toISOString() : null
+                };
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                exempt: exempt,
+                windowMs: OPERATION_WINDOW_MS,
+                limits: limits
+            });
+        } catch (error) {
+            console.error('Error fetching limits:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取单只鸟类
+    api.get('/api/birds/:id', {
+        summary: '获取单个条目',
+        description: '未公开的条目仅管理员可见',
+        tags: ['birds'],
+        params: { id: BIRD_ID },
+        responses: { 200: ref('Bird') },
+        errors: ['BIRD_NOT_FOUND']
+    }, auth.optionalAdmin, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            const bird = birds.find(bird => bird.id === id);
+
+            // 待审核条目仅管理员可见
+            if (!bird || (!isPublished(bird) && !res.locals.admin)) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            res.set('Cache-Control', 'private, no-cache');
+            res.json(withLikes(bird, getClientKey(req)));
+        } catch (error) {
+            console.error('Error fetching bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取待审核列表
+    api.get('/api/admin/pending', {
+        summary: '待审核的条目',
+        tags: ['admin'],
+        responses: { 200: ref('PendingList') }
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            birds: birds.filter(isPending)
+        });
+    });
+
+    // 审核接口的请求体：条目ID列表
+    const MODERATION_BODY = {
+        type: 'object',
+        required: ['ids'],
+        properties: { ids: ID_LIST }
+    };
+
+    // 批量通过审核
+    api.post('/api/admin/pending/approve', {
+        summary: '批量通过审核',
+        tags: ['admin'],
+        body: MODERATION_BODY,
+        responses: { 200: ref('ModerationResult') }
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const { ids } = res.locals.body;
+
+            const approved = [];
+            const changes = [];
+            birds.forEach(bird => {
+                if (ids.includes(bird.id) && isPending(bird)) {
+                    const before = structuredClone(bird);
+                    bird.status = STATUS_APPROVED;
+                    approved.push(bird.id);
+                    changes.push({ before, after: bird });
+                }
+            });
+
+            await saveData();
+            await recordChanges(res, changes);
+
+            res.json({
+                approved: approved,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error approving birds:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 批量拒绝审核（上传的条目移入回收站）
+    api.post('/api/admin/pending/reject', {
+        summary: '批量拒绝审核',
+        description: '被拒绝的条目移入回收站',
+        tags: ['admin'],
+        body: MODERATION_BODY,
+        responses: { 200: ref('ModerationResult') }
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const { ids } = res.locals.body;
+
+            const rejectedBirds = birds.filter(bird => ids.includes(bird.id) && isPending(bird));
+            birds = birds.filter(bird => !rejectedBirds.includes(bird));
+            await saveData();
+            await recordChanges(res, rejectedBirds.map(bird => ({ before: bird, after: null })));
+
+            for (const bird of rejectedBirds) {
+                await moveToTrash(TRASH_ENTRY, bird, res);
+            }
+
+            res.json({
+                rejected: rejectedBirds.map(bird => bird.id),
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error rejecting birds:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 批量重命名待审核条目
+    api.post('/api/admin/pending/rename', {
+        summary: '批量重命名待审核的条目',
+        tags: ['admin'],
+        body: {
+            type: 'object',
+            required: ['items'],
+            properties: {
+                items: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['id', 'name'],
+                        properties: { id: BIRD_ID, name: ENTRY_NAME }
+                    }
+                }
+            }
+        },
+        responses: { 200: ref('ModerationResult') }
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const { items } = res.locals.body;
+
+            const renamed = [];
+            const changes = [];
+            items.forEach(item => {
+                const bird = birds.find(bird => bird.id === item.id);
+                if (bird && isPending(bird)) {
+                    const before = structuredClone(bird);
+                    bird.name = item.name.trim();
+                    renamed.push(bird.id);
+                    changes.push({ before, after: bird });
+                }
+            });
+
+            await saveData();
+            await recordChanges(res, changes);
+
+            res.json({
+                renamed: renamed,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error renaming birds:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 扫描重复图片，返回相似图片分组
+    api.get('/api/admin/duplicates', {
+        summary: '扫描相似图片分组',
+        tags: ['admin'],
+        responses: { 200: ref('DuplicateClusters') }
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        const clusters = findClusters(birds, DUPLICATE_THRESHOLD);
+        res.json({
+            clusters: clusters,
+            unhashed: birds.filter(bird => bird.imageUrl && !bird.phash).length
+        });
+    });
+
+    // 合并重复图片：保留一项，其余条目移入回收站
+    api.post('/api/admin/duplicates/merge', {
+        summary: '合并重复图片',
+        description: '保留 keepId，removeIds 中的条目移入回收站',
+        tags: ['admin'],
+        body: {
+            type: 'object',
+            required: ['keepId', 'removeIds'],
+            properties: { keepId: BIRD_ID, removeIds: ID_LIST }
+        },
+        responses: { 200: ref('MergeResult') },
+        errors: ['BIRD_NOT_FOUND']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const { keepId } = res.locals.body;
+            const removeIds = res.locals.body.removeIds.filter(id => id !== keepId);
+
+            if (!birds.some(bird => bird.id === keepId)) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+            if (removeIds.length === 0) {
+                return sendError(res, validationError({ in: 'body', field: 'removeIds', rule: 'minItems', limit: 1 }));
+            }
+
+            const removedBirds = birds.filter(bird => removeIds.includes(bird.id));
+            birds = birds.filter(bird => !removedBirds.includes(bird));
+            const changes = removedBirds.map(bird => ({ before: bird, after: null }));
+
+            // 指向被删除条目的重复标记改为指向保留的条目
+            birds.forEach(bird => {
+                if (!removeIds.includes(bird.duplicateOf)) return;
+                const before = structuredClone(bird);
+                bird.duplicateOf = keepId;
+                if (bird.duplicateOf === bird.id) delete bird.duplicateOf;
+                changes.push({ before, after: bird });
+            });
+            await saveData();
+            await recordChanges(res, changes);
+
+            for (const bird of removedBirds) {
+                await moveToTrash(TRASH_ENTRY, bird, res);
+            }
+            await closeReports(removedBirds.map(bird => bird.id), REPORT_RESOLVED);
+
+            res.json({
+                kept: keepId,
+                removed: removedBirds.map(bird => bird.id),
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error merging duplicates:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 点赞接口的定义（点赞与取消点赞相同）
+    const LIKE_ROUTE = {
+        tags: ['birds'],
+        params: { id: BIRD_ID },
+        responses: { 200: ref('Like') },
+        errors: ['BIRD_NOT_FOUND', 'RATE_LIMITED']
+    };
+
+    // 点赞（同一客户端对同一条目只计一次）
+    api.post('/api/birds/:id/like', { ...LIKE_ROUTE, summary: '点赞' }, likeLimiter, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            const bird = birds.find(bird => bird.id === id);
+
+            if (!bird || !isPublished(bird)) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            const client = getClientKey(req);
+            if (!likedKeys.has(`${id}:${client}`)) {
+                await storage.likes.update(likes => [...likes, { birdId: id, client, timestamp: new Date().toISOString() }]);
+                rebuildLikeIndex();
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.json({ liked: true, likes: likeCounts.get(id) || 0 });
+        } catch (error) {
+            console.error('Error liking bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 取消点赞
+    api.delete('/api/birds/:id/like', { ...LIKE_ROUTE, summary: '取消点赞' }, likeLimiter, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            const bird = birds.find(bird => bird.id === id);
+
+            if (!bird || !isPublished(bird)) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            const client = getClientKey(req);
+            if (likedKeys.has(`${id}:${client}`)) {
+                await storage.likes.update(likes => likes.filter(like => !(like.birdId === id && like.client === client)));
+                rebuildLikeIndex();
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.json({ liked: false, likes: likeCounts.get(id) || 0 });
+        } catch (error) {
+            console.error('Error unliking bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 举报条目
+    api.post('/api/birds/:id/reports', {
+        summary: '举报条目',
+        description: REPORT_HIDE_THRESHOLD > 0
+            ? `举报进入管理员的待处理列表，收到 ${REPORT_HIDE_THRESHOLD} 个不同客户端的举报后条目自动隐藏`
+            : '举报进入管理员的待处理列表，由管理员决定是否删除条目',
+        tags: ['birds'],
+        params: { id: BIRD_ID },
+        body: {
+            type: 'object',
+            required: ['reason'],
+            properties: {
+                reason: { type: 'string', enum: REPORT_REASONS },
+                note: { type: 'string', maxLength: REPORT_NOTE_LIMIT, default: '' }
+            }
+        },
+        responses: { 201: ref('Message') },
+        errors: ['BIRD_NOT_FOUND', 'ALREADY_REPORTED', 'OPERATION_LIMIT_EXCEEDED']
+    }, auth.optionalAdmin, operationLimiters.report, logOperation, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            const bird = birds.find(bird => bird.id === id);
+
+            if (!bird || !isPublished(bird)) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            const { reason, note } = res.locals.body;
+
+            // 同一客户端对同一条目只保留一条未处理举报
+            const client = getClientKey(req);
+            if (getOpenReports(id).some(report => report.client === client)) {
+                return sendError(res, 'ALREADY_REPORTED');
+            }
+
+            const report = {
+                id: crypto.randomUUID(),
+                birdId: id,
+                reason: reason,
+                note: note.trim(),
+                client: client,
+                status: REPORT_OPEN,
+                createdAt: new Date().toISOString()
+            };
+            await storage.reports.update(reports => [...reports, report]);
+
+            // 启用了自动隐藏且举报达到阈值时隐藏条目
+            const reporters = new Set(getOpenReports(id).map(item => item.client));
+            if (REPORT_HIDE_THRESHOLD > 0 && reporters.size >= REPORT_HIDE_THRESHOLD) {
+                const before = structuredClone(bird);
+                bird.status = STATUS_HIDDEN;
+                await saveData();
+                await recordChanges(res, [{ before, after: bird }]);
+                console.log(`Bird ${id} hidden after ${reporters.size} reports`);
+            }
+
+            res.status(201).json({
+                message: translate(getLocale(req), 'messages.reportSubmitted'),
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error reporting bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取未处理的举报（按条目分组）
+    api.get('/api/admin/reports', {
+        summary: '未处理的举报（按条目分组）',
+        tags: ['admin'],
+        responses: { 200: ref('ReportGroups') }
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        const grouped = new Map();
+        storage.reports.get()
+            .filter(report => report.status === REPORT_OPEN)
+            .forEach(report => {
+                if (!grouped.has(report.birdId)) grouped.set(report.birdId, []);
+                const { client, ...publicReport } = report;
+                grouped.get(report.birdId).push(publicReport);
+            });
+
+        const items = Array.from(grouped.entries())
+            .map(([birdId, reports]) => ({
+                bird: birds.find(bird => bird.id === birdId) || null,
+                reports: reports
+            }))
+            .filter(item => item.bird)
+            .sort((a, b) => b.reports.length - a.reports.length);
+
+        res.json({ items });
+    });
+
+    // 忽略条目的举报，自动隐藏的条目恢复展示
+    api.post('/api/admin/reports/:birdId/dismiss', {
+        summary: '忽略条目的举报',
+        description: '因举报自动隐藏的条目恢复展示',
+        tags: ['admin'],
+        params: { birdId: BIRD_ID },
+        responses: { 200: ref('DismissResult') },
+        errors: ['BIRD_NOT_FOUND']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const { birdId } = res.locals.params;
+            const bird = birds.find(bird => bird.id === birdId);
+
+            if (!bird) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            await closeReports([birdId], REPORT_DISMISSED);
+
+            if (bird.status === STATUS_HIDDEN) {
+                const before = structuredClone(bird);
+                bird.status = STATUS_APPROVED;
+                await saveData();
+                await recordChanges(res, [{ before, after: bird }]);
+            }
+
+            res.json({
+                message: translate(getLocale(req), 'messages.reportsDismissed'),
+                bird: bird,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error dismissing reports:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 添加新鸟类
+    api.post('/api/birds', {
+        summary: '上传新条目',
+        description: '管理员上传的条目直接发布，其余进入审核队列。与已有图片相似时返回 DUPLICATE_IMAGE，确认后带上 allowDuplicate 重新提交',
+        tags: ['birds'],
+        form: true,
+        body: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: ENTRY_NAME,
+                image: IMAGE_FILE,
+                ...ENTRY_DETAIL_FIELDS,
+                allowDuplicate: { type: 'boolean', default: false, description: '确认上传与已有图片相似的图片' }
+            }
+        },
+        responses: { 201: ref('SavedBird') },
+        errors: ['IMAGE_TOO_LARGE', 'UNSUPPORTED_IMAGE', 'CORRUPTED_IMAGE', 'UPLOAD_FAILED', 'DUPLICATE_IMAGE', 'OPERATION_LIMIT_EXCEEDED']
+    }, auth.optionalAdmin, operationLimiters.create, logOperation, async (req, res) => {
+        try {
+            const { name, allowDuplicate } = res.locals.body;
+            const details = parseEntryDetails(res.locals.body);
+
+            // 校验图片并检查是否与已有图片重复
+            const phash = req.file ? await inspectImageUpload(req.file) : null;
+            const duplicate = phash ? findNearest(phash, birds, DUPLICATE_THRESHOLD) : null;
+
+            if (duplicate && !allowDuplicate) {
+                return sendError(res, 'DUPLICATE_IMAGE', {
+                    duplicateOf: {
+                        id: duplicate.item.id,
+                        name: duplicate.item.name,
+                        imageUrl: duplicate.item.imageUrl
+                    },
+                    distance: duplicate.distance
+                });
+            }
+
+            // 去除元数据并生成各尺寸版本
+            const image = req.file ? await processUpload(req.file.buffer, IMAGES_DIR) : null;
+
+            // 管理员上传直接发布，其余进入审核队列
+            const newBird = {
+                id: nextBirdId(),
+                name: name,
+                imageUrl: image ? image.imageUrl : null,
+                ...(image ? { images: image.images, phash } : {}),
+                ...(duplicate ? { duplicateOf: duplicate.item.id } : {}),
+                status: res.locals.admin ? STATUS_APPROVED : STATUS_PENDING,
+                createdAt: new Date().toISOString()
+            };
+            applyEntryDetails(newBird, details);
+
+            birds.unshift(newBird);
+            await saveData();
+            await recordChanges(res, [{ before: null, after: newBird }]);
+
+            res.status(201).json({
+                ...newBird,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return sendError(res, error);
+            }
+            console.error('Error creating bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 更新鸟类
+    api.put('/api/birds/:id', {
+        summary: '修改条目',
+        description: '只修改请求中出现的字段，可选字段传入空值表示移除；上传新图片时旧图片移入回收站',
+        tags: ['birds'],
+        params: { id: BIRD_ID },
+        form: true,
+        body: {
+            type: 'object',
+            properties: {
+                name: ENTRY_NAME,
+                image: IMAGE_FILE,
+                ...ENTRY_DETAIL_FIELDS
+            }
+        },
+        responses: { 200: ref('SavedBird') },
+        errors: ['BIRD_NOT_FOUND', 'IMAGE_TOO_LARGE', 'UNSUPPORTED_IMAGE', 'CORRUPTED_IMAGE', 'UPLOAD_FAILED', 'OPERATION_LIMIT_EXCEEDED']
+    }, auth.requireAdmin, operationLimiters.edit, logOperation, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            const { name } = res.locals.body;
+            const birdIndex = birds.findIndex(bird => bird.id === id);
+
+            if (birdIndex === -1) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            const details = parseEntryDetails(res.locals.body);
+            const previousBird = birds[birdIndex];
+            const updatedBird = applyEntryDetails(structuredClone(previousBird), details);
+
+            if (name) updatedBird.name = name;
+            if (req.file) {
+                const phash = await inspectImageUpload(req.file);
+                const image = await processUpload(req.file.buffer, IMAGES_DIR);
+
+                updatedBird.imageUrl = image.imageUrl;
+                updatedBird.images = image.images;
+                updatedBird.phash = phash;
+                delete updatedBird.duplicateOf;
+            }
+
+            birds[birdIndex] = updatedBird;
+            await saveData();
+            await recordChanges(res, [{ before: previousBird, after: updatedBird }]);
+
+            // 如果有新图片，旧图片移入回收站
+            if (req.file) {
+                await moveToTrash(TRASH_IMAGE, previousBird, res);
+            }
+
+            res.json({
+                ...updatedBird,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return sendError(res, error);
+            }
+            console.error('Error updating bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 删除鸟类
+    api.delete('/api/birds/:id', {
+        summary: '删除条目',
+        description: '条目和图片移入回收站',
+        tags: ['birds'],
+        params: { id: BIRD_ID },
+        responses: { 200: ref('Message') },
+        errors: ['BIRD_NOT_FOUND', 'OPERATION_LIMIT_EXCEEDED']
+    }, auth.requireAdmin, operationLimiters.delete, logOperation, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            const birdIndex = birds.findIndex(bird => bird.id === id);
+
+            if (birdIndex === -1) {
+                return sendError(res, 'BIRD_NOT_FOUND');
+            }
+
+            const bird = birds[birdIndex];
+
+            birds.splice(birdIndex, 1);
+            await saveData();
+            await recordChanges(res, [{ before: bird, after: null }]);
+
+            // 条目和图片移入回收站，点赞记录保留到彻底删除时
+            await moveToTrash(TRASH_ENTRY, bird, res);
+            await closeReports([id], REPORT_RESOLVED);
+
+            res.json({
+                message: translate(getLocale(req), 'messages.birdDeleted'),
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error deleting bird:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 操作日志每页条数
+    const AUDIT_PAGE_SIZE = 50;
+
+    // 比较条目状态时忽略后台补算的字段
+    function isSameEntryState(a, b) {
+        const strip = ({ phash, ...rest }) => rest;
+        return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+    }
+
+    // 按ID从新到旧的顺序放回条目
+    function insertBird(bird) {
+        const index = birds.findIndex(item => item.id < bird.id);
+        if (index === -1) {
+            birds.push(bird);
+        } else {
+            birds.splice(index, 0, bird);
+        }
+    }
+
+    // 为日志附加是否可撤销的标记
+    function toAuditView(log) {
+        return {
+            ...log,
+            revertible: Boolean(log.id && log.changes && log.changes.length > 0 && !log.revertedAt)
+        };
+    }
+
+    // 分页浏览操作日志，支持按IP、路由和时间范围筛选（从新到旧）
+    api.get('/api/admin/audit-log', {
+        summary: '分页浏览操作日志（从新到旧）',
+        tags: ['admin'],
+        query: {
+            page: { type: 'integer', minimum: 1, default: 1 },
+            ip: { type: 'string', maxLength: 100, description: '按IP前缀筛选' },
+            path: { type: 'string', maxLength: 200, description: '按“方法 路径”包含的文字筛选' },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' }
+        },
+        responses: { 200: ref('AuditLogPage') }
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        const { page } = res.locals.query;
+        const ip = (res.locals.query.ip || '').trim();
+        const route = (res.locals.query.path || '').trim();
+        const from = res.locals.query.from ? new Date(res.locals.query.from) : null;
+        const to = res.locals.query.to ? new Date(res.locals.query.to) : null;
+
+        const logs = storage.auditLog.get()
+            .filter(log => {
+                const time = new Date(log.timestamp);
+                if (ip && !String(log.ip).startsWith(ip)) return false;
+                if (route && !`${log.method} ${log.path}`.includes(route)) return false;
+                if (from && time < from) return false;
+                if (to && time > to) return false;
+                return true;
+            })
+            .reverse();
+
+        const startIndex = (page - 1) * AUDIT_PAGE_SIZE;
+        res.json({
+            logs: logs.slice(startIndex, startIndex + AUDIT_PAGE_SIZE).map(toAuditView),
+            total: logs.length,
+            hasMore: startIndex + AUDIT_PAGE_SIZE < logs.length
+        });
+    });
+
+    // 操作日志与回收站记录的ID
+    const RECORD_ID = { type: 'string', minLength: 1, maxLength: 100 };
+
+    // 撤销一次操作：将涉及的条目恢复到操作之前的状态
+    // 条目在此之后又被修改过时返回冲突，传入 force 可强制覆盖
+    api.post('/api/admin/audit-log/:id/revert', {
+        summary: '撤销一次操作',
+        description: '条目在此之后又被修改过时返回 REVERT_CONFLICT（附带 conflicts），传入 force 可强制覆盖',
+        tags: ['admin'],
+        params: { id: RECORD_ID },
+        body: {
+            type: 'object',
+            properties: { force: { type: 'boolean', default: false } }
+        },
+        responses: { 200: ref('RevertResult') },
+        errors: ['LOG_NOT_FOUND', 'NOT_REVERTIBLE', 'ALREADY_REVERTED', 'REVERT_CONFLICT', 'IMAGES_UNAVAILABLE']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const target = storage.auditLog.get().find(log => log.id === res.locals.params.id);
+
+            if (!target) {
+                return sendError(res, 'LOG_NOT_FOUND');
+            }
+            if (!target.changes || target.changes.length === 0) {
+                return sendError(res, 'NOT_REVERTIBLE');
+            }
+            if (target.revertedAt) {
+                return sendError(res, 'ALREADY_REVERTED');
+            }
+
+            const conflicts = target.changes
+                .filter(change => {
+                    const current = birds.find(bird => bird.id === change.birdId);
+                    if (!change.after) return Boolean(current);
+                    return !current || !isSameEntryState(current, change.after);
+                })
+                .map(change => change.birdId);
+
+            if (conflicts.length > 0 && !res.locals.body.force) {
+                return sendError(res, 'REVERT_CONFLICT', { conflicts: conflicts });
+            }
+
+            // 图片已从回收站彻底删除的状态无法恢复
+            for (const change of target.changes) {
+                if (change.before && !(await trash.filesAvailable(change.before))) {
+                    return sendError(res, 'IMAGES_UNAVAILABLE');
+                }
+            }
+
+            // 倒序恢复，保证同一条目的多次变更回到最早的状态
+            const changes = [];
+            [...target.changes].reverse().forEach(change => {
+                const index = birds.findIndex(bird => bird.id === change.birdId);
+                const current = index === -1 ? null : birds[index];
+
+                if (change.before) {
+                    const restored = structuredClone(change.before);
+                    if (current) {
+                        birds[index] = restored;
+                    } else {
+                        insertBird(restored);
+                    }
+                    changes.push({ before: current, after: restored });
+                } else if (current) {
+                    birds.splice(index, 1);
+                    changes.push({ before: current, after: null });
+                }
+            });
+
+            await saveData();
+
+            target.revertedAt = new Date().toISOString();
+            target.revertedBy = res.locals.auditEntry.id;
+            await recordChanges(res, changes);
+
+            // 被移除的条目和被换掉的图片移入回收站，恢复的图片从回收站取回
+            for (const change of changes) {
+                if (!change.after) {
+                    await moveToTrash(TRASH_ENTRY, change.before, res);
+                } else if (change.before && change.before.imageUrl !== change.after.imageUrl) {
+                    await moveToTrash(TRASH_IMAGE, change.before, res);
+                }
+            }
+            for (const change of changes) {
+                if (change.after) await trash.restore(change.after);
+            }
+
+            res.json({
+                reverted: target.id,
+                birds: changes.map(change => change.after || { id: change.before.id, deleted: true }),
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error reverting operation:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 获取回收站记录
+    api.get('/api/admin/trash', {
+        summary: '回收站记录（从新到旧）',
+        tags: ['admin'],
+        responses: { 200: ref('TrashList') }
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            items: trash.list(),
+            retentionDays: TRASH_RETENTION_DAYS
+        });
+    });
+
+    // 回收站中的图片（仅管理员可见）
+    api.get('/api/admin/trash/images/:file', {
+        summary: '回收站中的图片',
+        tags: ['admin'],
+        params: { file: { type: 'string', pattern: '^[\\w.-]+$', maxLength: 200 } },
+        responses: { 200: { content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } } },
+        errors: ['IMAGE_NOT_FOUND']
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.sendFile(res.locals.params.file, { root: TRASH_DIR }, (error) => {
+            if (error && !res.headersSent) {
+                sendError(res, 'IMAGE_NOT_FOUND');
+            }
+        });
+    });
+
+    // 从回收站恢复：被删除的条目重新放回图鉴，被替换的图片换回原条目
+    api.post('/api/admin/trash/:id/restore', {
+        summary: '从回收站恢复',
+        description: '被删除的条目重新放回图鉴，被替换的图片换回原条目（当前图片移入回收站）',
+        tags: ['admin'],
+        params: { id: RECORD_ID },
+        responses: { 200: ref('RestoreResult') },
+        errors: ['TRASH_ITEM_NOT_FOUND', 'ID_CONFLICT', 'ENTRY_GONE']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const item = trash.get(res.locals.params.id);
+
+            if (!item) {
+                return sendError(res, 'TRASH_ITEM_NOT_FOUND');
+            }
+
+            if (item.type === TRASH_ENTRY) {
+                if (birds.some(bird => bird.id === item.birdId)) {
+                    return sendError(res, 'ID_CONFLICT');
+                }
+
+                const restored = structuredClone(item.bird);
+                await trash.restore(restored);
+                insertBird(restored);
+                await saveData();
+                await recordChanges(res, [{ before: null, after: restored }]);
+
+                return res.json({
+                    bird: restored,
+                    operation: res.locals.operationDesc
+                });
+            }
+
+            const bird = birds.find(bird => bird.id === item.birdId);
+            if (!bird) {
+                return sendError(res, 'ENTRY_GONE');
+            }
+
+            // 换回旧图片，当前图片移入回收站
+            const before = structuredClone(bird);
+            ['imageUrl', 'images', 'phash'].forEach(key => {
+                if (item.bird[key] === undefined) {
+                    delete bird[key];
+                } else {
+                    bird[key] = structuredClone(item.bird[key]);
+                }
+            });
+            await saveData();
+            await recordChanges(res, [{ before, after: bird }]);
+            await moveToTrash(TRASH_IMAGE, before, res);
+            await trash.restore(bird);
+
+            res.json({
+                bird: bird,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 彻底删除单条回收站记录
+    api.delete('/api/admin/trash/:id', {
+        summary: '彻底删除单条回收站记录',
+        tags: ['admin'],
+        params: { id: RECORD_ID },
+        responses: { 200: ref('Message') },
+        errors: ['TRASH_ITEM_NOT_FOUND']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const { id } = res.locals.params;
+            if (!trash.get(id)) {
+                return sendError(res, 'TRASH_ITEM_NOT_FOUND');
+            }
+
+            await purgeTrash([id]);
+            res.json({
+                message: translate(getLocale(req), 'messages.trashItemPurged'),
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error purging trash item:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 清空回收站
+    api.delete('/api/admin/trash', {
+        summary: '清空回收站',
+        tags: ['admin'],
+        responses: { 200: ref('PurgeResult') }
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        try {
+            const purged = await purgeTrash(trash.list().map(item => item.id));
+            res.json({
+                purged: purged.length,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 导出文件名中的时间戳，如 20240101-0930
+    function formatFileStamp(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    // 导出完整图鉴：全部条目、图片和带校验和的 manifest（tar.gz 归档，流式传输）
+    api.get('/api/admin/export', {
+        summary: '导出完整图鉴（tar.gz 归档）',
+        tags: ['admin'],
+        responses: { 200: { content: { 'application/gzip': { schema: { type: 'string', format: 'binary' } } } } }
+    }, auth.requireAdmin, async (req, res) => {
+        try {
+            const archive = await createArchive(birds, IMAGES_DIR, { site: config.site });
+
+            res.set({
+                'Content-Type': 'application/gzip',
+                'Content-Disposition': `attachment; filename="yeluyelu-${formatFileStamp(new Date())}.tar.gz"`,
+                'Cache-Control': 'no-store'
+            });
+
+            archive.on('error', (error) => {
+                console.error('Error streaming archive:', error);
+                res.destroy(error);
+            });
+            archive.pipe(res);
+        } catch (error) {
+            console.error('Error exporting archive:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 导入归档：merge 合并到现有图鉴（跳过重复条目），replace 替换现有图鉴（旧条目移入回收站）
+    api.post('/api/admin/import', {
+        summary: '导入归档',
+        description: 'merge 合并到现有图鉴（跳过重复条目），replace 替换现有图鉴（旧条目移入回收站）',
+        tags: ['admin'],
+        query: { mode: { type: 'string', enum: IMPORT_MODES, default: 'merge' } },
+        rawBody: 'application/gzip',
+        responses: { 200: ref('ImportResult') },
+        errors: ['INVALID_ARCHIVE']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        const { mode } = res.locals.query;
+
+        let workDir = null;
+        try {
+            workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'yeluyelu-import-'));
+            const archive = await extractArchive(req, workDir);
+
+            const removed = mode === 'replace' ? birds : [];
+            const plan = planImport(mode === 'replace' ? [] : birds, archive.entries, mode);
+
+            // 先复制图片，全部成功后再修改条目
+            const imported = [];
+            for (const entry of plan.entries) {
+                imported.push(await importImages(entry, archive.imagesDir, IMAGES_DIR));
+            }
+
+            if (mode === 'replace') {
+                birds = [];
+            }
+            imported.forEach(insertBird);
+            await saveData();
+            await recordChanges(res, [
+                ...removed.map(bird => ({ before: bird, after: null })),
+                ...imported.map(bird => ({ before: null, after: bird }))
+            ]);
+
+            // 被替换的条目移入回收站，可从回收站或操作日志恢复
+            for (const bird of removed) {
+                await moveToTrash(TRASH_ENTRY, bird, res);
+            }
+            if (removed.length > 0) {
+                await closeReports(removed.map(bird => bird.id), REPORT_RESOLVED);
+            }
+
+            res.json({
+                mode: mode,
+                imported: imported.length,
+                skipped: plan.skipped.length,
+                renumbered: plan.renumbered,
+                removed: removed.length,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return sendError(res, error);
+            }
+            console.error('Error importing archive:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        } finally {
+            if (workDir) {
+                await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+            }
+        }
+    });
+
+    // 镜像同步的间隔
+    const MIRROR_INTERVAL = config.mirror.intervalMinutes * 60 * 1000;
+
+    // 镜像条目的 schema：名称和可选字段与上传使用相同的规则，另外包含图片、创建时间和来源信息
+    const MIRRORED_ENTRY = {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: ENTRY_NAME,
+            ...ENTRY_DETAIL_FIELDS,
+            imageUrl: { type: ['string', 'null'], maxLength: 200 },
+            images: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    properties: { jpeg: { type: 'string', maxLength: 200 }, webp: { type: 'string', maxLength: 200 } }
+                }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            origin: {
+                type: 'object',
+                required: ['url', 'id'],
+                properties: {
+                    url: { type: 'string', minLength: 1, maxLength: 500 },
+                    id: BIRD_ID
+                }
+            }
+        }
+    };
+
+    // 保存从上游同步来的条目：已同步过的原地更新并沿用本站ID，新条目分配本站ID
+    async function saveMirroredBird(bird, previous) {
+        const { description, source, tags, aliases, ...rest } = bird;
+        const updated = applyEntryDetails(
+            { id: previous ? previous.id : nextBirdId(), ...rest },
+            parseEntryDetails({ description, source, tags, aliases })
+        );
+
+        // 感知哈希只在本站计算：图片未变化时沿用，否则按重新编码后的图片计算
+        delete updated.phash;
+        if (previous && previous.imageUrl === updated.imageUrl && previous.phash) {
+            updated.phash = previous.phash;
+        } else if (updated.imageUrl) {
+            try {
+                updated.phash = await computeImageHash(path.join(IMAGES_DIR, updated.imageUrl));
+            } catch (error) {
+                console.error(`Error hashing image ${updated.imageUrl}:`, error.message);
+            }
+        }
+
+        // 新镜像的条目默认进入审核队列，配置了 mirror.publish 时直接公开；已有条目沿用本站的审核状态
+        // 与已有图片相似的新条目标记为重复，总是进入审核队列
+        if (previous) {
+            if (previous.status) updated.status = previous.status;
+            if (previous.duplicateOf) updated.duplicateOf = previous.duplicateOf;
+        } else {
+            const duplicate = updated.phash ? findNearest(updated.phash, birds, DUPLICATE_THRESHOLD) : null;
+            if (duplicate) updated.duplicateOf = duplicate.item.id;
+            updated.status = config.mirror.publish && !duplicate ? STATUS_APPROVED : STATUS_PENDING;
+        }
+
+        const index = previous ? birds.findIndex(item => item.id === previous.id) : -1;
+
+        if (index === -1) {
+            insertBird(updated);
+        } else {
+            birds[index] = updated;
+        }
+        await saveData();
+        await changeFeed.record([updated.id]);
+        publishChanges([{ before: previous, after: updated }]);
+
+        // 上游换了图片时，旧图片移入回收站
+        if (previous && previous.imageUrl !== updated.imageUrl) {
+            await moveToTrash(TRASH_IMAGE, previous, null);
+        }
+    }
+
+    // 上游删除或隐藏了条目：本站的镜像条目移入回收站
+    async function removeMirroredBird(previous) {
+        const index = birds.findIndex(item => item.id === previous.id);
+        if (index === -1) return;
+
+        birds.splice(index, 1);
+        await saveData();
+        await changeFeed.record([previous.id]);
+        publishChanges([{ before: previous, after: null }]);
+        await moveToTrash(TRASH_ENTRY, previous, null);
+        await closeReports([previous.id], REPORT_RESOLVED);
+    }
+
+    // 镜像同步：从配置的上游站点拉取条目，保留最初的来源信息
+    const mirror = createMirror({
+        upstreams: config.mirror.upstreams,
+        collection: storage.mirror,
+        imagesDir: IMAGES_DIR,
+        entrySchema: MIRRORED_ENTRY,
+        siteUrl: config.site.url,
+        getEntries: () => birds,
+        onUpsert: saveMirroredBird,
+        onRemove: removeMirroredBird,
+        // 上游的原图已经过重新编码，可能比上传时的文件略大，按上传请求的上限限制
+        maxImageSize: MAX_UPLOAD_SIZE
+    });
+
+    // 镜像同步状态
+    api.get('/api/admin/mirror', {
+        summary: '镜像同步状态',
+        tags: ['mirror'],
+        responses: { 200: ref('MirrorStatus') }
+    }, auth.requireAdmin, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            upstreams: mirror.status(),
+            intervalMinutes: config.mirror.intervalMinutes,
+            syncing: mirror.isRunning()
+        });
+    });
+
+    // 立即从全部上游同步
+    api.post('/api/admin/mirror/sync', {
+        summary: '立即从全部上游同步',
+        tags: ['mirror'],
+        responses: { 200: ref('MirrorSyncResult') },
+        errors: ['NO_UPSTREAMS']
+    }, auth.requireAdmin, logOperation, async (req, res) => {
+        if (config.mirror.upstreams.length === 0) {
+            return sendError(res, 'NO_UPSTREAMS');
+        }
+
+        try {
+            const results = await mirror.sync();
+            res.json({
+                results: results,
+                operation: res.locals.operationDesc
+            });
+        } catch (error) {
+            console.error('Error syncing mirrors:', error);
+            sendError(res, 'INTERNAL_ERROR');
+        }
+    });
+
+    // 未定义的接口返回 JSON 格式的 404，其余错误（如请求体不是有效的 JSON）由统一的错误处理返回
+    app.use('/api', (req, res) => sendError(res, 'ROUTE_NOT_FOUND'));
+    app.use(handleApiError);
+
+    // 定时任务（init 时启动，close 时停止）
+    const timers = [];
+
+    // 进行中的后台任务，close 时等待它们结束；closing 为 true 后不再启动新任务
+    const backgroundTasks = new Set();
+    let closing = false;
+
+    // 在后台执行任务，出错只记录日志
+    function runInBackground(task, errorMessage) {
+        if (closing) return;
+        const promise = task()
+            .catch(error => console.error(errorMessage, error))
+            .finally(() => backgroundTasks.delete(promise));
+        backgroundTasks.add(promise);
+    }
+
+    // 清理过期回收站记录
+    function runTrashPurge() {
+        runInBackground(purgeExpiredTrash, 'Error purging trash:');
+    }
+
+    // 从全部上游同步
+    function runMirrorSync() {
+        runInBackground(mirror.sync, 'Error syncing mirrors:');
+    }
+
+    // 初始化：创建目录、读取数据并启动定时任务
+    async function init() {
+        // 确保图片目录和回收站目录存在
+        await fs.mkdir(IMAGES_DIR, { recursive: true });
+        await fs.mkdir(TRASH_DIR, { recursive: true });
+
+        // 初始化数据
+        await initData();
+
+        // 补算旧图片的感知哈希，完成后才开始处理上传，避免重复检测漏掉未补算的条目
+        await backfillImageHashes();
+
+        // 首次启用变更序列时，按ID从旧到新为现有条目生成记录
+        await changeFeed.seed(birds.map(bird => bird.id).sort((a, b) => a - b));
+
+        // 定时清理过期的回收站记录
+        timers.push(setInterval(runTrashPurge, TRASH_PURGE_INTERVAL));
+        runTrashPurge();
+
+        // 定时从上游站点同步
+        if (config.mirror.upstreams.length > 0) {
+            timers.push(setInterval(runMirrorSync, MIRROR_INTERVAL));
+            runMirrorSync();
+        }
+        timers.forEach(timer => timer.unref());
+    }
+
+    // 关闭：停止定时任务，断开实时事件连接，等待进行中的后台任务和未完成的写入
+    async function close() {
+        closing = true;
+        timers.forEach(timer => clearInterval(timer));
+        timers.length = 0;
+        liveEvents.close();
+
+        // 镜像同步（包括管理员手动触发的）中止进行中的请求
+        await mirror.stop();
+        await Promise.all(backgroundTasks);
+
+        await hitLog.flush();
+        await storage.flush();
+    }
+
+    return { app, init, close };
+}
+
+module.exports = { createApp };
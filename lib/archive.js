@@ -0,0 +1,367 @@
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const crypto = require('crypto');
+const zlib = require('zlib');
+const stream = require('stream');
+const tar = require('tar-stream');
+const { listImageFiles, hasSafeImageFiles, renameImageFiles } = require('./images');
+const { ApiError } = require('./errors');
+const { translate } = require('./i18n');
+
+// 归档格式标识与版本
+const ARCHIVE_FORMAT = 'yeluyelu-archive';
+const ARCHIVE_VERSION = 1;
+
+// 归档内的文件布局
+const MANIFEST_FILE = 'manifest.json';
+const ENTRIES_FILE = 'entries.json';
+const IMAGES_PREFIX = 'images/';
+
+// manifest.json 与 entries.json 的大小上限（读入内存解析）
+const MAX_METADATA_SIZE = 50 * 1024 * 1024;
+
+// 导入模式：merge 合并到现有图鉴，replace 替换现有图鉴
+const IMPORT_MODES = ['merge', 'replace'];
+
+// 归档错误（格式不正确或校验失败）：reason 为具体原因（locales 中 archive 下的文案键），
+// 响应中的 detail 按请求的语言生成，message 与 params.detail 为英文说明（用于日志）
+class ArchiveError extends ApiError {
+    constructor(reason, params = {}) {
+        super('INVALID_ARCHIVE', { reason, params: { detail: translate('en', `archive.${reason}`, params) } });
+        this.name = 'ArchiveError';
+        this.reasonParams = params;
+    }
+
+    toResponse(locale) {
+        const detail = translate(locale, `archive.${this.fields.reason}`, this.reasonParams);
+        return { error: translate(locale, 'errors.INVALID_ARCHIVE', { detail }), code: this.code, reason: this.fields.reason, detail };
+    }
+}
+
+// 计算内容的 SHA-256 与大小
+function hashBuffer(buffer) {
+    return {
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        size: buffer.length
+    };
+}
+
+// 计算文件的 SHA-256 与大小
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+        size += chunk.length;
+    }
+    return { sha256: hash.digest('hex'), size };
+}
+
+// 向 tar 包中写入一个内存中的文件
+function packBuffer(pack, name, buffer) {
+    return new Promise((resolve, reject) => {
+        pack.entry({ name, size: buffer.length }, buffer, error => (error ? reject(error) : resolve()));
+    });
+}
+
+// 向 tar 包中写入一个磁盘上的文件
+function packFile(pack, name, filePath, size) {
+    return new Promise((resolve, reject) => {
+        const entry = pack.entry({ name, size }, error => (error ? reject(error) : resolve()));
+        fs.createReadStream(filePath).on('error', reject).pipe(entry);
+    });
+}
+
+/**
+ * 创建导出归档（tar.gz）：manifest.json（含每个文件的校验和）、entries.json 和 images/ 下的全部图片
+ * @param {Array<Object>} entries - 要导出的条目
+ * @param {string} imagesDir - 图片目录
+ * @param {Object} [meta] - 写入 manifest 的附加信息
+ * @returns {Promise<stream.Readable>} - 归档数据流
+ */
+async function createArchive(entries, imagesDir, meta = {}) {
+    const entriesBuffer = Buffer.from(JSON.stringify({ entries }, null, 2));
+    const files = { [ENTRIES_FILE]: hashBuffer(entriesBuffer) };
+    const missing = [];
+
+    const imageFiles = [...new Set(entries.flatMap(listImageFiles))];
+    for (const file of imageFiles) {
+        try {
+            files[`${IMAGES_PREFIX}${file}`] = await hashFile(path.join(imagesDir, file));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            missing.push(file);
+        }
+    }
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        createdAt: new Date().toISOString(),
+        ...meta,
+        entryCount: entries.length,
+        files: files,
+        missing: missing
+    };
+
+    const pack = tar.pack();
+    const output = stream.pipeline(pack, zlib.createGzip(), () => {});
+
+    (async () => {
+        await packBuffer(pack, MANIFEST_FILE, Buffer.from(JSON.stringify(manifest, null, 2)));
+        await packBuffer(pack, ENTRIES_FILE, entriesBuffer);
+        for (const file of imageFiles) {
+            const info = files[`${IMAGES_PREFIX}${file}`];
+            if (info) await packFile(pack, `${IMAGES_PREFIX}${file}`, path.join(imagesDir, file), info.size);
+        }
+        pack.finalize();
+    })().catch(error => pack.destroy(error));
+
+    return output;
+}
+
+// 校验归档内的文件名，只允许约定的布局，防止路径穿越
+function resolveArchivePath(name) {
+    if (name === MANIFEST_FILE || name === ENTRIES_FILE) return name;
+    if (name.startsWith(IMAGES_PREFIX)) {
+        const file = name.slice(IMAGES_PREFIX.length);
+        if (file && file === path.basename(file) && file !== '.' && file !== '..') return name;
+    }
+    return null;
+}
+
+// 读取数据流到内存（超过上限时报错）
+async function readLimited(source, limit) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of source) {
+        size += chunk.length;
+        if (size > limit) throw new ArchiveError('metadataTooLarge');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// 将数据流写入文件，同时计算校验和
+async function writeHashed(source, filePath) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const hasher = new stream.Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    await stream.promises.pipeline(source, hasher, fs.createWriteStream(filePath));
+    return { sha256: hash.digest('hex'), size };
+}
+
+// 解析 JSON 内容
+function parseJson(buffer, name) {
+    try {
+        return JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new ArchiveError('invalidJson', { name });
+    }
+}
+
+/**
+ * 解压导入的归档并校验：manifest 中列出的每个文件都必须存在且校验和一致
+ * @param {stream.Readable} input - 归档数据流（tar.gz）
+ * @param {string} workDir - 临时解压目录
+ * @returns {Promise<Object>} - { manifest, entries, imagesDir }
+ * @throws {ArchiveError} - 归档格式不正确或校验失败
+ */
+async function extractArchive(input, workDir) {
+    const imagesDir = path.join(workDir, 'images');
+    await fsp.mkdir(imagesDir, { recursive: true });
+
+    const extract = tar.extract();
+    const piping = stream.promises.pipeline(input, zlib.createGunzip(), extract);
+    const received = {};
+    let manifestBuffer = null;
+    let entriesBuffer = null;
+
+    try {
+        for await (const entry of extract) {
+            const name = resolveArchivePath(entry.header.name);
+            if (entry.header.type !== 'file' || !name) {
+                if (entry.header.type === 'file') {
+                    throw new ArchiveError('unexpectedFile', { name: entry.header.name });
+                }
+                entry.resume();
+                continue;
+            }
+
+            if (name === MANIFEST_FILE) {
+                manifestBuffer = await readLimited(entry, MAX_METADATA_SIZE);
+            } else if (name === ENTRIES_FILE) {
+                entriesBuffer = await readLimited(entry, MAX_METADATA_SIZE);
+                received[name] = hashBuffer(entriesBuffer);
+            } else {
+                received[name] = await writeHashed(entry, path.join(imagesDir, name.slice(IMAGES_PREFIX.length)));
+            }
+        }
+        await piping;
+    } catch (error) {
+        piping.catch(() => {});
+        if (error instanceof ArchiveError) throw error;
+        throw new ArchiveError('invalidTarGz');
+    }
+
+    if (!manifestBuffer) throw new ArchiveError('missingFile', { name: MANIFEST_FILE });
+    if (!entriesBuffer) throw new ArchiveError('missingFile', { name: ENTRIES_FILE });
+
+    const manifest = parseJson(manifestBuffer, MANIFEST_FILE);
+    if (manifest.format !== ARCHIVE_FORMAT) {
+        throw new ArchiveError('notCollection');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+        throw new ArchiveError('newerVersion', { version: String(manifest.version) });
+    }
+
+    // 校验每个文件的大小和校验和，不允许出现 manifest 之外的文件
+    const expected = manifest.files || {};
+    for (const [name, info] of Object.entries(expected)) {
+        const actual = received[name];
+        if (!actual) throw new ArchiveError('missingFile', { name });
+        if (actual.size !== info.size || actual.sha256 !== info.sha256) {
+            throw new ArchiveError('checksumMismatch', { name });
+        }
+    }
+    const unexpected = Object.keys(received).find(name => !expected[name]);
+    if (unexpected) throw new ArchiveError('unexpectedFile', { name: unexpected });
+
+    const data = parseJson(entriesBuffer, ENTRIES_FILE);
+    const entries = data && Array.isArray(data.entries) ? data.entries : null;
+    if (!entries || entries.some(entry => !entry || !Number.isInteger(entry.id) || typeof entry.name !== 'string')) {
+        throw new ArchiveError('invalidEntries');
+    }
+
+    // 条目中的图片文件名会拼接到解压目录和图片目录下，不允许包含目录或 ..
+    const unsafe = entries.find(entry => !hasSafeImageFiles(entry));
+    if (unsafe) {
+        throw new ArchiveError('invalidImageFileName', { id: String(unsafe.id) });
+    }
+
+    return { manifest, entries, imagesDir };
+}
+
+// 判断导入的条目是否与现有条目重复（同一张图片，或同ID同名同图）
+function findDuplicate(entry, existing) {
+    return existing.find(item => {
+        if (entry.phash && item.phash === entry.phash) return true;
+        return item.id === entry.id && item.name === entry.name && item.imageUrl === entry.imageUrl;
+    }) || null;
+}
+
+/**
+ * 规划导入：merge 模式跳过重复条目，ID冲突的条目分配新ID，并同步修正重复标记
+ * @param {Array<Object>} existing - 保留的现有条目（replace 模式传入空数组）
+ * @param {Array<Object>} incoming - 归档中的条目
+ * @param {string} mode - 'merge' / 'replace'
+ * @returns {Object} - { entries, skipped, renumbered }
+ */
+function planImport(existing, incoming, mode) {
+    const usedIds = new Set(existing.map(item => item.id));
+    const idMap = new Map();
+    const entries = [];
+    const skipped = [];
+    const renumbered = [];
+    let nextId = Math.max(Date.now(), ...existing.map(item => item.id + 1), ...incoming.map(item => item.id + 1));
+
+    incoming.forEach(item => {
+        const duplicate = mode === 'merge' ? findDuplicate(item, existing) : null;
+        if (duplicate) {
+            skipped.push(item.id);
+            idMap.set(item.id, duplicate.id);
+            return;
+        }
+
+        let id = item.id;
+        if (usedIds.has(id)) {
+            id = nextId++;
+            renumbered.push({ from: item.id, to: id });
+        }
+        usedIds.add(id);
+        idMap.set(item.id, id);
+        entries.push({ ...structuredClone(item), id });
+    });
+
+    // 重复标记指向归档内的条目时跟随新ID，指向不存在的条目时移除
+    entries.forEach(entry => {
+        if (entry.duplicateOf === undefined) return;
+        const target = idMap.has(entry.duplicateOf) ? idMap.get(entry.duplicateOf) : entry.duplicateOf;
+        if (target !== entry.id && usedIds.has(target)) {
+            entry.duplicateOf = target;
+        } else {
+            delete entry.duplicateOf;
+        }
+    });
+
+    return { entries, skipped, renumbered };
+}
+
+// 判断图片目录中是否已有同名但内容不同的文件
+async function hasConflict(file, sourceDir, imagesDir) {
+    try {
+        const [existing, incoming] = await Promise.all([
+            hashFile(path.join(imagesDir, file)),
+            hashFile(path.join(sourceDir, file))
+        ]);
+        return existing.sha256 !== incoming.sha256;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * 将条目的图片从解压目录复制到图片目录
+ * 文件名冲突且内容不同时改用新的文件名（各尺寸一起改名），内容相同时直接复用
+ * @param {Object} entry - 导入的条目
+ * @param {string} sourceDir - 解压出的图片目录
+ * @param {string} imagesDir - 图片目录
+ * @returns {Promise<Object>} - 图片文件名可能被改写的条目
+ * @throws {ArchiveError} - 条目的图片文件名包含目录或 ..
+ */
+async function importImages(entry, sourceDir, imagesDir) {
+    if (!hasSafeImageFiles(entry)) {
+        throw new ArchiveError('invalidImageFileName', { id: String(entry.id) });
+    }
+
+    const files = listImageFiles(entry);
+    if (files.length === 0) return entry;
+
+    let conflict = false;
+    for (const file of files) {
+        if (await hasConflict(file, sourceDir, imagesDir)) {
+            conflict = true;
+            break;
+        }
+    }
+
+    const renamed = conflict ? renameImageFiles(entry) : null;
+    const target = file => (renamed ? renamed.files.get(file) : file);
+
+    for (const file of files) {
+        try {
+            await fsp.copyFile(path.join(sourceDir, file), path.join(imagesDir, target(file)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    return renamed ? renamed.bird : entry;
+}
+
+module.exports = {
+    createArchive,
+    extractArchive,
+    planImport,
+    importImages,
+    ArchiveError,
+    IMPORT_MODES
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// 管理员令牌有效期（12小时）
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * 创建管理员认证工具
+ * @param {Object} options - 认证选项
+ * @param {string} options.username - 管理员用户名
+ * @param {string} options.password - 管理员密码，为空时禁用管理员登录
+ * @param {string} [options.secret] - 令牌签名密钥，未设置时每次启动随机生成
+ * @param {number} [options.tokenTtl] - 令牌有效期（毫秒）
+ * @returns {Object} - 包含 login / verifyToken / requireAdmin / optionalAdmin 的对象
+ */
+function createAuth(options = {}) {
+    const {
+        username = 'admin',
+        password = '',
+        secret = crypto.randomBytes(32).toString('hex'),
+        tokenTtl = TOKEN_TTL_MS
+    } = options;
+
+    const enabled = Boolean(password);
+
+    // 计算签名
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    }
+
+    // 恒定时间比较字符串，避免时序攻击
+    function safeEqual(a, b) {
+        const hashA = crypto.createHash('sha256').update(String(a)).digest();
+        const hashB = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(hashA, hashB);
+    }
+
+    // 签发令牌
+    function issueToken(subject) {
+        const payload = Buffer.from(JSON.stringify({
+            sub: subject,
+            exp: Date.now() + tokenTtl
+        })).toString('base64url');
+
+        return `${payload}.${sign(payload)}`;
+    }
+
+    // 校验用户名和密码，成功时返回令牌信息
+    function login(user, pass) {
+        if (!enabled) return null;
+
+        const userOk = safeEqual(user || '', username);
+        const passOk = safeEqual(pass || '', password);
+        if (!userOk || !passOk) return null;
+
+        const token = issueToken(username);
+        return { token, expiresAt: new Date(Date.now() + tokenTtl).toISOString() };
+    }
+
+    // 校验令牌，有效时返回令牌内容
+    function verifyToken(token) {
+        if (!enabled || !token || typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!data.exp || data.exp < Date.now()) return null;
+            return data;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 从请求头中读取 Bearer 令牌
+    function getRequestToken(req) {
+        const header = req.headers.authorization || '';
+        return header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+    }
+
+    // 管理员校验中间件：未登录时返回401
+    function requireAdmin(req, res, next) {
+        const session = verifyToken(getRequestToken(req));
+        if (!session) {
+            return sendError(res, 'UNAUTHORIZED');
+        }
+
+        res.locals.admin = session;
+        next();
+    }
+
+    // 可选管理员中间件：仅标记身份，不拦截请求
+    function optionalAdmin(req, res, next) {
+        const session = verifyToken(getRequestToken(req));
+        if (session) res.locals.admin = session;
+        next();
+    }
+
+    return {
+        enabled,
+        login,
+        verifyToken,
+        requireAdmin,
+        optionalAdmin
+    };
+}
+
+module.exports = { createAuth };
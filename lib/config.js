@@ -0,0 +1,245 @@
+const fs = require('fs');
+const net = require('net');
+
+/**
+ * 可配置项：key 为配置文件中的路径，env 为对应的环境变量
+ * 优先级：环境变量 > 配置文件 > 默认值
+ */
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+    { key: 'corsOrigins', env: 'CORS_ORIGINS', type: 'list', default: ['http://localhost:3000'] },
+    { key: 'site.title', env: 'SITE_TITLE', type: 'string', default: '夜鹭页录' },
+    { key: 'site.url', env: 'SITE_URL', type: 'url', default: 'https://yeluyelu.mynatapp.cc' },
+    { key: 'basePath', env: 'BASE_PATH', type: 'path', default: '' },
+    { key: 'trustProxy', env: 'TRUST_PROXY', type: 'trustProxy', default: false },
+    { key: 'pageSize', env: 'PAGE_SIZE', type: 'integer', min: 1, max: 200, default: 48 },
+    { key: 'limits.nameLength', env: 'NAME_MAX_LENGTH', type: 'integer', min: 1, max: 100, default: 10 },
+    { key: 'limits.imageSizeMB', env: 'MAX_IMAGE_SIZE_MB', type: 'number', min: 0.1, max: 50, default: 1 },
+    { key: 'limits.uploadSizeMB', env: 'MAX_UPLOAD_SIZE_MB', type: 'number', min: 0.1, max: 100, default: 5 },
+    { key: 'retention.auditLogDays', env: 'AUDIT_LOG_RETENTION_DAYS', type: 'integer', min: 1, max: 3650, default: 30 },
+    { key: 'retention.trashDays', env: 'TRASH_RETENTION_DAYS', type: 'integer', min: 1, max: 3650, default: 30 },
+    { key: 'operations.windowHours', env: 'OPERATION_WINDOW_HOURS', type: 'number', min: 0.01, max: 24 * 365, default: 24 },
+    { key: 'operations.create', env: 'OPERATION_LIMIT_CREATE', type: 'integer', min: 1, max: 100000, default: 8 },
+    { key: 'operations.edit', env: 'OPERATION_LIMIT_EDIT', type: 'integer', min: 1, max: 100000, default: 8 },
+    { key: 'operations.delete', env: 'OPERATION_LIMIT_DELETE', type: 'integer', min: 1, max: 100000, default: 8 },
+    { key: 'operations.report', env: 'OPERATION_LIMIT_REPORT', type: 'integer', min: 1, max: 100000, default: 8 },
+    { key: 'reports.hideThreshold', env: 'REPORT_HIDE_THRESHOLD', type: 'integer', min: 0, max: 10000, default: 0 },
+    { key: 'operations.allowlist', env: 'OPERATION_ALLOWLIST', type: 'list', default: [] },
+    { key: 'mirror.upstreams', env: 'MIRROR_UPSTREAMS', type: 'urlList', default: [] },
+    { key: 'mirror.publish', env: 'MIRROR_PUBLISH', type: 'boolean', default: false },
+    { key: 'mirror.intervalMinutes', env: 'MIRROR_INTERVAL_MINUTES', type: 'integer', min: 1, max: 7 * 24 * 60, default: 30 }
+];
+
+// 可信代理列表中可以使用的地址范围名称（与 Express 的 trust proxy 设置相同）
+const PROXY_SUBNET_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+// 配置错误（启动时校验失败）
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// 按路径读取嵌套对象中的值
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+// 按路径写入嵌套对象
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => {
+        if (!node[part]) node[part] = {};
+        return node[part];
+    }, object);
+    target[last] = value;
+}
+
+// 列出配置文件中出现的所有叶子路径（用于发现拼写错误的配置项）
+function listPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return listPaths(value, fullKey);
+        }
+        return [fullKey];
+    });
+}
+
+// 判断是否为 http(s) 地址
+function isHttpUrl(raw) {
+    return typeof raw === 'string' && /^https?:\/\/[^\s]+$/.test(raw.trim());
+}
+
+// 判断是否为可信代理的地址：IP、CIDR 网段或地址范围名称
+function isProxyAddress(raw) {
+    if (PROXY_SUBNET_NAMES.includes(raw)) return true;
+    const [address, prefix, ...rest] = raw.split('/');
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) return false;
+    if (prefix === undefined) return true;
+    return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+}
+
+// 将原始值转换为配置项要求的类型，fromEnv 为 true 时原始值是字符串
+function parseValue(setting, raw, fromEnv) {
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const value = fromEnv ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value) || (fromEnv && String(raw).trim() === '')) {
+                return { error: 'must be a number' };
+            }
+            if (setting.type === 'integer' && !Number.isInteger(value)) {
+                return { error: 'must be an integer' };
+            }
+            if (value < setting.min || value > setting.max) {
+                return { error: `must be between ${setting.min} and ${setting.max}` };
+            }
+            return { value };
+        }
+        case 'boolean': {
+            const value = fromEnv ? { true: true, false: false, 1: true, 0: false }[String(raw).trim()] : raw;
+            if (typeof value !== 'boolean') {
+                return { error: 'must be true or false' };
+            }
+            return { value };
+        }
+        case 'list': {
+            const list = fromEnv ? String(raw).split(',') : raw;
+            if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+                return { error: 'must be a list of strings' };
+            }
+            return { value: list.map(item => item.trim()).filter(Boolean) };
+        }
+        case 'url': {
+            if (!isHttpUrl(raw)) {
+                return { error: 'must be an http(s) URL' };
+            }
+            return { value: raw.trim().replace(/\/+$/, '') };
+        }
+        case 'urlList': {
+            const list = fromEnv ? String(raw).split(',') : raw;
+            if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+                return { error: 'must be a list of http(s) URLs' };
+            }
+            const urls = list.map(item => item.trim()).filter(Boolean);
+            if (urls.some(url => !isHttpUrl(url))) {
+                return { error: 'must be a list of http(s) URLs' };
+            }
+            return { value: urls.map(url => url.replace(/\/+$/, '')) };
+        }
+        case 'trustProxy': {
+            // false / 0 表示不信任代理；正整数为代理层数；其余为可信代理的地址列表
+            const error = 'must be false, a number of proxy hops or a list of proxy addresses';
+            let value = fromEnv ? String(raw).trim() : raw;
+            if (fromEnv && /^(\d+|false)$/.test(value)) {
+                value = value === 'false' ? false : Number(value);
+            }
+            if (value === false || value === 0) {
+                return { value: false };
+            }
+            if (typeof value === 'number') {
+                return Number.isInteger(value) && value > 0 && value <= 10 ? { value } : { error };
+            }
+            const list = typeof value === 'string' ? value.split(',') : value;
+            if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+                return { error };
+            }
+            const addresses = list.map(item => item.trim()).filter(Boolean);
+            if (addresses.length === 0 || addresses.some(address => !isProxyAddress(address))) {
+                return { error };
+            }
+            return { value: addresses };
+        }
+        case 'path': {
+            if (typeof raw !== 'string' || !/^(\/[^\s/?#]+)*\/?$/.test(raw.trim())) {
+                return { error: 'must be a URL path such as /gallery' };
+            }
+            return { value: raw.trim().replace(/\/+$/, '') };
+        }
+        default: {
+            if (typeof raw !== 'string' || !raw.trim()) {
+                return { error: 'must be a non-empty string' };
+            }
+            return { value: raw.trim() };
+        }
+    }
+}
+
+// 读取 JSON 配置文件，文件不存在且非必需时返回空对象
+function readConfigFile(file, required, errors) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !required) return {};
+        errors.push(`cannot read config file ${file}: ${error.message}`);
+        return {};
+    }
+
+    try {
+        const data = JSON.parse(raw);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push(`config file ${file} must contain a JSON object`);
+            return {};
+        }
+        return data;
+    } catch (error) {
+        errors.push(`config file ${file} is not valid JSON: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * 读取并校验配置（环境变量 + 可选的 JSON 配置文件）
+ * @param {Object} [options] - 读取选项
+ * @param {Object} [options.env] - 环境变量，默认 process.env
+ * @param {string} [options.file] - 配置文件路径
+ * @param {boolean} [options.required] - 配置文件是否必须存在
+ * @param {Object} [options.values] - 直接传入的配置对象，结构与配置文件相同，指定后不再读取配置文件
+ * @returns {Object} - 配置对象，结构与配置文件相同
+ * @throws {ConfigError} - 存在无效配置项时抛出，包含全部错误
+ */
+function loadConfig(options = {}) {
+    const { env = process.env, file = null, required = false, values = null } = options;
+    const errors = [];
+    const fileConfig = values || (file ? readConfigFile(file, required, errors) : {});
+
+    const knownKeys = new Set(SETTINGS.map(setting => setting.key));
+    listPaths(fileConfig)
+        .filter(key => !knownKeys.has(key))
+        .forEach(key => errors.push(`unknown config key "${key}"`));
+
+    const config = {};
+    SETTINGS.forEach(setting => {
+        let value = setting.default;
+        const fileValue = getPath(fileConfig, setting.key);
+
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            const result = parseValue(setting, env[setting.env], true);
+            if (result.error) errors.push(`${setting.env} ${result.error}`);
+            else value = result.value;
+        } else if (fileValue !== undefined) {
+            const result = parseValue(setting, fileValue, false);
+            if (result.error) errors.push(`${setting.key} ${result.error}`);
+            else value = result.value;
+        }
+
+        setPath(config, setting.key, value);
+    });
+
+    if (config.limits.imageSizeMB > config.limits.uploadSizeMB) {
+        errors.push('limits.imageSizeMB cannot be larger than limits.uploadSizeMB');
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return config;
+}
+
+module.exports = { loadConfig, ConfigError };
@@ -0,0 +1,113 @@
+const { getLocale, translate } = require('./i18n');
+
+/**
+ * 接口错误码及其 HTTP 状态码：响应体统一为 { error: 说明, code: 错误码, ...附加字段 }
+ * 说明按请求的 Accept-Language 取自 locales/ 中的 errors 文案；错误码保持稳定，前端按错误码显示自己的提示
+ */
+const ERRORS = {
+    // 请求格式
+    VALIDATION_FAILED: { status: 400 },
+    INVALID_JSON: { status: 400 },
+    PAYLOAD_TOO_LARGE: { status: 413 },
+    ROUTE_NOT_FOUND: { status: 404 },
+
+    // 管理员认证
+    UNAUTHORIZED: { status: 401 },
+    INVALID_CREDENTIALS: { status: 401 },
+    LOGIN_DISABLED: { status: 503 },
+
+    // 频率限制
+    RATE_LIMITED: { status: 429 },
+    LOGIN_RATE_LIMITED: { status: 429 },
+    OPERATION_LIMIT_EXCEEDED: { status: 429 },
+
+    // 资源不存在
+    BIRD_NOT_FOUND: { status: 404 },
+    SPECIES_NOT_FOUND: { status: 404 },
+    LOG_NOT_FOUND: { status: 404 },
+    TRASH_ITEM_NOT_FOUND: { status: 404 },
+    IMAGE_NOT_FOUND: { status: 404 },
+
+    // 图片上传
+    IMAGE_TOO_LARGE: { status: 400 },
+    UNSUPPORTED_IMAGE: { status: 400 },
+    CORRUPTED_IMAGE: { status: 400 },
+    UPLOAD_FAILED: { status: 400 },
+    DUPLICATE_IMAGE: { status: 409 },
+
+    // 条目操作
+    ALREADY_REPORTED: { status: 409 },
+    PAGE_OUT_OF_RANGE: { status: 400 },
+    NOT_REVERTIBLE: { status: 400 },
+    ALREADY_REVERTED: { status: 409 },
+    REVERT_CONFLICT: { status: 409 },
+    IMAGES_UNAVAILABLE: { status: 409 },
+    ID_CONFLICT: { status: 409 },
+    ENTRY_GONE: { status: 409 },
+    INVALID_ARCHIVE: { status: 400 },
+    NO_UPSTREAMS: { status: 409 },
+
+    // 测验
+    QUIZ_NOT_ENOUGH_NAMES: { status: 409 },
+    QUIZ_CHANGED: { status: 409 },
+
+    // 服务端
+    TOO_MANY_STREAMS: { status: 503 },
+    INTERNAL_ERROR: { status: 500 }
+};
+
+// 接口错误：携带错误码、HTTP 状态码和需要返回给客户端的附加字段，message 为英文说明（用于日志）
+class ApiError extends Error {
+    /**
+     * @param {string} code - 错误码（ERRORS 中的键）
+     * @param {Object} [options] - params 为只用于说明文案的参数，其余字段原样附加到响应体（也可在文案中引用）
+     */
+    constructor(code, options = {}) {
+        const { params, ...fields } = options;
+        const values = { ...fields, ...params };
+        super(translate('en', `errors.${code}`, values));
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = ERRORS[code].status;
+        this.fields = fields;
+        this.params = values;
+    }
+
+    /**
+     * 生成指定语言的响应体
+     * @param {string} locale - 语言代码
+     * @returns {Object} - { error, code, ...附加字段 }
+     */
+    toResponse(locale) {
+        return { error: translate(locale, `errors.${this.code}`, this.params), code: this.code, ...this.fields };
+    }
+}
+
+/**
+ * 发送错误响应，说明使用请求的 Accept-Language 对应的语言
+ * @param {Object} res - Express 响应对象
+ * @param {string|ApiError} code - 错误码或 ApiError
+ * @param {Object} [options] - 同 ApiError 的 options
+ */
+function sendError(res, code, options) {
+    const error = code instanceof ApiError ? code : new ApiError(code, options);
+    res.vary('Accept-Language');
+    return res.status(error.status).json(error.toResponse(getLocale(res.req)));
+}
+
+/**
+ * 接口的兜底错误处理中间件：ApiError 按错误码返回，请求体解析失败返回 400/413，
+ * 其它未处理的异常记录日志后返回 500
+ */
+function handleApiError(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    if (error instanceof ApiError) return sendError(res, error);
+    if (error.type === 'entity.parse.failed') return sendError(res, 'INVALID_JSON');
+    if (error.type === 'entity.too.large') return sendError(res, 'PAYLOAD_TOO_LARGE');
+
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+    sendError(res, 'INTERNAL_ERROR');
+}
+
+module.exports = { ERRORS, ApiError, sendError, handleApiError };
@@ -0,0 +1,108 @@
+const { sendError } = require('./errors');
+
+// 心跳间隔：定期发送注释行，避免空闲连接被代理断开
+const DEFAULT_HEARTBEAT_INTERVAL = 30 * 1000;
+
+// 建议浏览器断线后的重连间隔
+const DEFAULT_RETRY = 3000;
+
+// 保留最近的事件，断线重连的客户端可以补收错过的事件
+const DEFAULT_BACKLOG = 100;
+
+// 同时连接的客户端上限
+const DEFAULT_MAX_CLIENTS = 1000;
+
+// 按 SSE 格式编码一条事件（数据中的换行由 JSON 转义，只占一行）
+function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * 创建实时事件流（Server-Sent Events）：向所有打开页面的访客推送事件
+ * @param {Object} [options] - 事件流选项
+ * @param {number} [options.heartbeatInterval] - 心跳间隔（毫秒）
+ * @param {number} [options.retry] - 建议的重连间隔（毫秒）
+ * @param {number} [options.backlog] - 保留的最近事件数
+ * @param {number} [options.maxClients] - 同时连接的客户端上限
+ * @returns {Object} - 包含 handler / publish / size / close 的事件流对象
+ */
+function createEventStream(options = {}) {
+    const {
+        heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL,
+        retry = DEFAULT_RETRY,
+        backlog = DEFAULT_BACKLOG,
+        maxClients = DEFAULT_MAX_CLIENTS
+    } = options;
+
+    const clients = new Set();
+    const recent = [];
+    let lastId = 0;
+
+    const heartbeat = setInterval(() => {
+        clients.forEach(res => res.write(': ping\n\n'));
+    }, heartbeatInterval);
+    heartbeat.unref();
+
+    /**
+     * 订阅事件流的路由处理函数
+     * 重连时浏览器通过 Last-Event-ID 请求头（或 lastEventId 查询参数）告知最后收到的事件，补发之后的事件
+     */
+    function handler(req, res) {
+        if (clients.size >= maxClients) {
+            return sendError(res, 'TOO_MANY_STREAMS');
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${retry}\n\n`);
+
+        const since = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+        if (Number.isInteger(since) && since !== lastId) {
+            const missed = recent.filter(event => event.id > since);
+            // 服务重启过，或错过的事件已不在保留范围内时，通知客户端重新加载
+            if (since > lastId || missed.length === 0 || missed[0].id !== since + 1) {
+                res.write(formatEvent({ id: lastId, type: 'reset', data: {} }));
+            } else {
+                missed.forEach(event => res.write(formatEvent(event)));
+            }
+        }
+
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    }
+
+    /**
+     * 向所有客户端推送事件
+     * @param {string} type - 事件类型
+     * @param {Object} data - 事件数据
+     */
+    function publish(type, data) {
+        const event = { id: ++lastId, type, data };
+        recent.push(event);
+        if (recent.length > backlog) recent.shift();
+
+        const message = formatEvent(event);
+        clients.forEach(res => res.write(message));
+    }
+
+    // 当前连接的客户端数
+    function size() {
+        return clients.size;
+    }
+
+    // 断开所有客户端并停止心跳
+    function close() {
+        clearInterval(heartbeat);
+        clients.forEach(res => res.end());
+        clients.clear();
+    }
+
+    return { handler, publish, size, close };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,59 @@
+/**
+ * 服务端文案的多语言支持：按请求的 Accept-Language 选择语言，
+ * 用于错误响应的说明、长图的默认页眉页脚和分享卡片等由服务端生成的文字
+ */
+const LOCALES = {
+    'zh-CN': require('./locales/zh-CN'),
+    en: require('./locales/en')
+};
+
+// 请求未指定语言或指定的语言都不支持时使用默认语言
+const DEFAULT_LOCALE = 'zh-CN';
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/**
+ * 按请求的 Accept-Language 选择语言
+ * @param {Object} req - Express 请求对象
+ * @returns {string} - 语言代码
+ */
+function getLocale(req) {
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+// 按点分隔的键读取文案
+function lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), LOCALES[locale]);
+}
+
+/**
+ * 按语言格式化列表，如 ['a', 'b'] →“a或b”/“a or b”
+ * @param {string} locale - 语言代码
+ * @param {Array} items - 列表项
+ * @param {string} [type] - conjunction（并列）或 disjunction（选择）
+ * @returns {string}
+ */
+function formatList(locale, items, type = 'conjunction') {
+    return new Intl.ListFormat(locale, { type }).format(items.map(String));
+}
+
+/**
+ * 获取文案：文案中的 {name} 替换为 params 中的同名参数，数字参数按语言格式化
+ * 指定语言缺少的文案使用默认语言，都没有时返回键本身
+ * @param {string} locale - 语言代码
+ * @param {string} key - 文案键，如 'errors.BIRD_NOT_FOUND'
+ * @param {Object} [params] - 插入文案的参数
+ * @returns {string}
+ */
+function translate(locale, key, params = {}) {
+    let message = lookup(locale, key);
+    if (typeof message !== 'string') message = lookup(DEFAULT_LOCALE, key);
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+    });
+}
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LOCALES, getLocale, formatList, translate };
@@ -0,0 +1,210 @@
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('./errors');
+
+// 允许上传的图片格式（根据文件头识别，而不是扩展名）
+const SUPPORTED_TYPES = ['jpeg', 'png', 'gif', 'webp'];
+
+// 生成的图片尺寸：长边上限（像素）
+const VARIANT_SIZES = {
+    original: 2048,
+    medium: 1024,
+    thumb: 480
+};
+
+// 编码质量
+const JPEG_QUALITY = 85;
+const WEBP_QUALITY = 80;
+
+/**
+ * 根据文件头（magic bytes）识别图片真实格式
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string|null} - 'jpeg' / 'png' / 'gif' / 'webp'，无法识别时返回 null
+ */
+function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'png';
+    }
+    const header = buffer.toString('ascii', 0, 6);
+    if (header === 'GIF87a' || header === 'GIF89a') {
+        return 'gif';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+
+    return null;
+}
+
+// 图片处理错误（格式不支持或文件损坏）
+class ImageProcessingError extends ApiError {
+    constructor(code) {
+        super(code);
+        this.name = 'ImageProcessingError';
+    }
+}
+
+// 生成单个尺寸的图片（JPEG + 可选 WebP）
+async function writeVariant(pipeline, imagesDir, baseName, maxSize, withWebp) {
+    const resized = pipeline.clone().resize(maxSize, maxSize, {
+        fit: 'inside',
+        withoutEnlargement: true
+    });
+
+    const jpegName = `${baseName}.jpg`;
+    const info = await resized.clone()
+        .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+        .toFile(path.join(imagesDir, jpegName));
+
+    const variant = {
+        jpeg: jpegName,
+        width: info.width,
+        height: info.height
+    };
+
+    if (withWebp) {
+        const webpName = `${baseName}.webp`;
+        await resized.clone()
+            .webp({ quality: WEBP_QUALITY })
+            .toFile(path.join(imagesDir, webpName));
+        variant.webp = webpName;
+    }
+
+    return variant;
+}
+
+/**
+ * 处理上传的图片：校验格式、去除 EXIF/GPS 等元数据并重新编码，生成缩略图与中等尺寸
+ * @param {Buffer} buffer - 上传的文件内容
+ * @param {string} imagesDir - 图片保存目录
+ * @returns {Promise<Object>} - { imageUrl, images }，images 包含 original / medium / thumb 三种尺寸
+ */
+async function processUpload(buffer, imagesDir) {
+    const type = detectImageType(buffer);
+    if (!type || !SUPPORTED_TYPES.includes(type)) {
+        throw new ImageProcessingError('UNSUPPORTED_IMAGE');
+    }
+
+    // 按 EXIF 方向旋转后铺白底，重新编码时不保留任何元数据
+    const pipeline = sharp(buffer, { failOn: 'error' })
+        .rotate()
+        .flatten({ background: '#ffffff' });
+
+    try {
+        await pipeline.clone().metadata();
+    } catch (error) {
+        throw new ImageProcessingError('CORRUPTED_IMAGE');
+    }
+
+    const id = uuidv4();
+    const written = [];
+
+    try {
+        const original = await writeVariant(pipeline, imagesDir, id, VARIANT_SIZES.original, false);
+        written.push(original.jpeg);
+        const medium = await writeVariant(pipeline, imagesDir, `${id}-medium`, VARIANT_SIZES.medium, true);
+        written.push(medium.jpeg, medium.webp);
+        const thumb = await writeVariant(pipeline, imagesDir, `${id}-thumb`, VARIANT_SIZES.thumb, true);
+        written.push(thumb.jpeg, thumb.webp);
+
+        return {
+            imageUrl: original.jpeg,
+            images: { original, medium, thumb }
+        };
+    } catch (error) {
+        // 处理失败时清理已生成的文件
+        await Promise.all(written.map(file => fs.unlink(path.join(imagesDir, file)).catch(() => {})));
+        if (error instanceof ImageProcessingError) throw error;
+        throw new ImageProcessingError('CORRUPTED_IMAGE');
+    }
+}
+
+/**
+ * 列出条目关联的所有图片文件名（包括各尺寸版本）
+ * @param {Object} bird - 图鉴条目
+ * @returns {Array<string>} - 文件名列表
+ */
+function listImageFiles(bird) {
+    const files = new Set();
+    if (bird.imageUrl) files.add(bird.imageUrl);
+
+    if (bird.images) {
+        Object.values(bird.images).forEach(variant => {
+            if (variant.jpeg) files.add(variant.jpeg);
+            if (variant.webp) files.add(variant.webp);
+        });
+    }
+
+    return Array.from(files);
+}
+
+/**
+ * 判断图片文件名是否可以安全地拼接到图片目录下：只能是单个文件名，不能包含目录或 ..（防止路径穿越）
+ * 用于校验导入的归档、镜像上游等外部来源提供的文件名
+ * @param {*} file - 文件名
+ * @returns {boolean}
+ */
+function isSafeImageFileName(file) {
+    return typeof file === 'string' && file !== '' && file === path.basename(file) &&
+        !file.includes('..') && !file.includes('\\') && !file.includes('\0');
+}
+
+/**
+ * 判断条目引用的所有图片文件名是否安全（images 的结构不正确时同样视为不安全）
+ * @param {Object} bird - 图鉴条目
+ * @returns {boolean}
+ */
+function hasSafeImageFiles(bird) {
+    if (bird.imageUrl && !isSafeImageFileName(bird.imageUrl)) return false;
+    if (!bird.images) return true;
+    if (typeof bird.images !== 'object' || Array.isArray(bird.images)) return false;
+
+    return Object.values(bird.images).every(variant => variant && typeof variant === 'object' &&
+        ['jpeg', 'webp'].every(key => !variant[key] || isSafeImageFileName(variant[key])));
+}
+
+/**
+ * 为条目的图片换用新的文件名：按原图文件名前缀整体替换为新的 UUID，保持各尺寸文件名的对应关系
+ * @param {Object} bird - 图鉴条目
+ * @returns {Object} - { bird, files }：bird 为改名后的条目副本，files 为“原文件名 -> 新文件名”的映射
+ */
+function renameImageFiles(bird) {
+    const files = new Map();
+    const base = path.parse(bird.imageUrl || listImageFiles(bird)[0] || '').name;
+    const newBase = uuidv4();
+    const rename = (file) => {
+        if (!files.has(file)) {
+            files.set(file, file.startsWith(base) ? `${newBase}${file.slice(base.length)}` : `${newBase}-${file}`);
+        }
+        return files.get(file);
+    };
+
+    const renamed = { ...bird };
+    if (bird.imageUrl) renamed.imageUrl = rename(bird.imageUrl);
+    if (bird.images) {
+        renamed.images = Object.fromEntries(Object.entries(bird.images).map(([size, variant]) => {
+            const updated = { ...variant };
+            if (updated.jpeg) updated.jpeg = rename(updated.jpeg);
+            if (updated.webp) updated.webp = rename(updated.webp);
+            return [size, updated];
+        }));
+    }
+    return { bird: renamed, files };
+}
+
+module.exports = {
+    detectImageType,
+    processUpload,
+    listImageFiles,
+    isSafeImageFileName,
+    hasSafeImageFiles,
+    renameImageFiles,
+    ImageProcessingError
+};
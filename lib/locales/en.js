@@ -0,0 +1,108 @@
+// English
+module.exports = {
+    // 接口错误码对应的说明
+    errors: {
+        VALIDATION_FAILED: 'Invalid request: {details}',
+        INVALID_JSON: 'Request body is not valid JSON',
+        PAYLOAD_TOO_LARGE: 'Request body is too large',
+        ROUTE_NOT_FOUND: 'API route not found',
+        UNAUTHORIZED: 'Admin authentication required',
+        INVALID_CREDENTIALS: 'Invalid username or password',
+        LOGIN_DISABLED: 'Admin login is disabled',
+        RATE_LIMITED: 'Too many requests, please try again later',
+        LOGIN_RATE_LIMITED: 'Too many login attempts, please try again later',
+        OPERATION_LIMIT_EXCEEDED: 'Operation limit exceeded',
+        BIRD_NOT_FOUND: 'Bird not found',
+        SPECIES_NOT_FOUND: 'Species not found',
+        LOG_NOT_FOUND: 'Log entry not found',
+        TRASH_ITEM_NOT_FOUND: 'Trash item not found',
+        IMAGE_NOT_FOUND: 'Image not found',
+        IMAGE_TOO_LARGE: 'Image size cannot exceed {limitMB}MB',
+        UNSUPPORTED_IMAGE: 'Unsupported image format',
+        CORRUPTED_IMAGE: 'Image file is corrupted',
+        UPLOAD_FAILED: 'Invalid upload: {detail}',
+        DUPLICATE_IMAGE: 'Possible duplicate image',
+        ALREADY_REPORTED: 'You have already reported this entry',
+        PAGE_OUT_OF_RANGE: 'Page must be between 1 and {pages}',
+        NOT_REVERTIBLE: 'This operation cannot be reverted',
+        ALREADY_REVERTED: 'This operation has already been reverted',
+        REVERT_CONFLICT: 'Entries have changed since this operation',
+        IMAGES_UNAVAILABLE: 'Image files are no longer available',
+        ID_CONFLICT: 'An entry with this ID already exists',
+        ENTRY_GONE: 'Entry no longer exists',
+        INVALID_ARCHIVE: 'Invalid archive: {detail}',
+        NO_UPSTREAMS: 'No upstream instances configured',
+        QUIZ_NOT_ENOUGH_NAMES: 'At least {choices} different names are needed for a quiz',
+        QUIZ_CHANGED: 'The quiz has changed, please start a new one',
+        TOO_MANY_STREAMS: 'Too many event stream connections',
+        INTERNAL_ERROR: 'Internal server error'
+    },
+
+    // 参数校验失败的说明：issue 为“字段 + 规则说明”，多条之间用 separator 连接
+    validation: {
+        issue: '{field} {rule}',
+        separator: '; ',
+        rules: {
+            required: 'is required',
+            additionalProperties: 'is not allowed',
+            type: 'must be {expected}',
+            enum: 'must be one of: {allowed}',
+            minLength: 'must be at least {limit} characters',
+            maxLength: 'cannot exceed {limit} characters',
+            pattern: 'has an invalid format',
+            format: 'must be a valid {format}',
+            minimum: 'must be at least {limit}',
+            maximum: 'cannot exceed {limit}',
+            minItems: 'must have at least {limit} items',
+            maxItems: 'cannot have more than {limit} items',
+            anyOf: 'does not match any of the allowed formats'
+        },
+        // 规则说明中的类型与格式名称
+        types: {
+            string: 'a string',
+            integer: 'an integer',
+            number: 'a number',
+            boolean: 'a boolean',
+            array: 'an array',
+            object: 'an object',
+            null: 'null'
+        },
+        formats: {
+            'date-time': 'date-time'
+        }
+    },
+
+    // 操作成功的提示
+    messages: {
+        reportSubmitted: 'Report submitted',
+        reportsDismissed: 'Reports dismissed',
+        birdDeleted: 'Bird deleted successfully',
+        trashItemPurged: 'Trash item purged'
+    },
+
+    // 归档无效的具体原因（INVALID_ARCHIVE 的 detail）
+    archive: {
+        metadataTooLarge: 'Archive metadata is too large',
+        invalidJson: '{name} is not valid JSON',
+        unexpectedFile: 'Unexpected file in archive: {name}',
+        invalidTarGz: 'Archive is not a valid tar.gz file',
+        missingFile: 'Archive is missing {name}',
+        notCollection: 'Not a collection archive',
+        newerVersion: 'Archive was written by a newer version (v{version})',
+        checksumMismatch: 'Checksum mismatch for {name}',
+        invalidEntries: 'entries.json has an invalid format',
+        invalidImageFileName: 'Entry {id} has an invalid image file name'
+    },
+
+    // 导出长图的默认页眉页脚
+    poster: {
+        title: 'Common Bird ID Guide',
+        subtitle: 'From: {title} {url}'
+    },
+
+    // 页面与应用清单
+    pages: {
+        shareDescription: '{name} - a night heron mimic collected by {title}',
+        manifestDescription: 'A guide to the wonderful mimicry of night herons'
+    }
+};
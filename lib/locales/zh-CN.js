@@ -0,0 +1,108 @@
+// 简体中文（默认语言）
+module.exports = {
+    // 接口错误码对应的说明
+    errors: {
+        VALIDATION_FAILED: '请求参数无效：{details}',
+        INVALID_JSON: '请求体不是有效的 JSON',
+        PAYLOAD_TOO_LARGE: '请求体过大',
+        ROUTE_NOT_FOUND: '接口不存在',
+        UNAUTHORIZED: '需要管理员登录',
+        INVALID_CREDENTIALS: '用户名或密码错误',
+        LOGIN_DISABLED: '本站未开启管理员登录',
+        RATE_LIMITED: '请求过于频繁，请稍后再试',
+        LOGIN_RATE_LIMITED: '登录尝试过于频繁，请稍后再试',
+        OPERATION_LIMIT_EXCEEDED: '操作次数已达上限',
+        BIRD_NOT_FOUND: '条目不存在',
+        SPECIES_NOT_FOUND: '没有这个名称的条目',
+        LOG_NOT_FOUND: '操作记录不存在',
+        TRASH_ITEM_NOT_FOUND: '回收站中没有这条记录',
+        IMAGE_NOT_FOUND: '图片不存在',
+        IMAGE_TOO_LARGE: '图片不能超过{limitMB}MB',
+        UNSUPPORTED_IMAGE: '不支持的图片格式',
+        CORRUPTED_IMAGE: '图片文件已损坏',
+        UPLOAD_FAILED: '上传无效：{detail}',
+        DUPLICATE_IMAGE: '可能与已有图片重复',
+        ALREADY_REPORTED: '你已经举报过这个条目',
+        PAGE_OUT_OF_RANGE: '页码应在 1 到 {pages} 之间',
+        NOT_REVERTIBLE: '这条操作无法撤销',
+        ALREADY_REVERTED: '这条操作已经撤销过了',
+        REVERT_CONFLICT: '相关条目在此之后又被修改过',
+        IMAGES_UNAVAILABLE: '图片文件已不存在',
+        ID_CONFLICT: '已有相同ID的条目',
+        ENTRY_GONE: '条目已不存在',
+        INVALID_ARCHIVE: '归档文件无效：{detail}',
+        NO_UPSTREAMS: '未配置上游站点',
+        QUIZ_NOT_ENOUGH_NAMES: '至少需要 {choices} 个不同的名称才能出题',
+        QUIZ_CHANGED: '测验题目已变化，请重新开始',
+        TOO_MANY_STREAMS: '实时事件的连接数过多',
+        INTERNAL_ERROR: '服务器内部错误'
+    },
+
+    // 参数校验失败的说明：issue 为“字段 + 规则说明”，多条之间用 separator 连接
+    validation: {
+        issue: '{field} {rule}',
+        separator: '；',
+        rules: {
+            required: '为必填项',
+            additionalProperties: '不允许出现',
+            type: '必须是{expected}',
+            enum: '必须是 {allowed} 之一',
+            minLength: '不能少于{limit}个字符',
+            maxLength: '不能超过{limit}个字符',
+            pattern: '格式不正确',
+            format: '必须是有效的{format}',
+            minimum: '不能小于{limit}',
+            maximum: '不能大于{limit}',
+            minItems: '至少需要{limit}项',
+            maxItems: '不能超过{limit}项',
+            anyOf: '不符合任何一种允许的格式'
+        },
+        // 规则说明中的类型与格式名称
+        types: {
+            string: '字符串',
+            integer: '整数',
+            number: '数字',
+            boolean: '布尔值',
+            array: '数组',
+            object: '对象',
+            null: '空值'
+        },
+        formats: {
+            'date-time': '日期时间'
+        }
+    },
+
+    // 操作成功的提示
+    messages: {
+        reportSubmitted: '举报已提交',
+        reportsDismissed: '已忽略举报',
+        birdDeleted: '条目已删除',
+        trashItemPurged: '回收站记录已彻底删除'
+    },
+
+    // 归档无效的具体原因（INVALID_ARCHIVE 的 detail）
+    archive: {
+        metadataTooLarge: '归档中的元数据过大',
+        invalidJson: '{name} 不是有效的 JSON',
+        unexpectedFile: '归档中有多余的文件：{name}',
+        invalidTarGz: '不是有效的 tar.gz 文件',
+        missingFile: '归档中缺少 {name}',
+        notCollection: '不是图鉴归档',
+        newerVersion: '归档由更新的版本（v{version}）生成',
+        checksumMismatch: '{name} 的校验和不一致',
+        invalidEntries: 'entries.json 的格式不正确',
+        invalidImageFileName: '条目 {id} 的图片文件名无效'
+    },
+
+    // 导出长图的默认页眉页脚
+    poster: {
+        title: '常见鸟类辨识图鉴',
+        subtitle: '来自：{title} {url}'
+    },
+
+    // 页面与应用清单
+    pages: {
+        shareDescription: '{name} - {title}收录的夜鹭拟态',
+        manifestDescription: '记录夜鹭奇妙拟态的图鉴网站'
+    }
+};
@@ -0,0 +1,369 @@
+const { processUpload, listImageFiles, hasSafeImageFiles, ImageProcessingError } = require('./images');
+const { createValidator, summarizeIssues } = require('./schema');
+
+// 每次拉取的变更条数
+const DEFAULT_PAGE_SIZE = 100;
+
+// 单次请求的超时时间
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+// 上游图片的大小上限（超过时跳过该条目）
+const DEFAULT_MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// 变更页的大小上限（超过时中止本轮同步）
+const MAX_PAGE_BYTES = 20 * 1024 * 1024;
+
+// 镜像站点不应同步的字段：审核状态、重复标记只在本站有意义，mirror 是本站的同步记录
+const LOCAL_FIELDS = ['id', 'status', 'duplicateOf', 'mirror'];
+
+// 校验上游条目（条目 schema 不引用组件 schema）
+const validate = createValidator({});
+
+// 镜像错误：上游的单个条目无法同步（条目格式、图片缺失或无效），跳过该条目
+class MirrorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MirrorError';
+    }
+}
+
+/**
+ * 创建变更序列：记录每个条目最近一次变更的序号，供镜像站点按游标增量拉取
+ * 每个条目只保留最新的一条记录，被删除的条目也保留记录，作为删除标记
+ * @param {Object} collection - 保存变更记录的 JSON 集合
+ * @returns {Object} - 包含 seed / record / list 的变更序列对象
+ */
+function createChangeFeed(collection) {
+    // 当前最大序号
+    function lastSeq() {
+        const items = collection.get();
+        return items.length > 0 ? items[items.length - 1].seq : 0;
+    }
+
+    /**
+     * 记录条目发生了变更（新增、修改或删除）
+     * @param {Array<number>} ids - 条目ID
+     */
+    function record(ids) {
+        const unique = [...new Set(ids)];
+        if (unique.length === 0) return Promise.resolve();
+
+        let seq = lastSeq();
+        const timestamp = new Date().toISOString();
+        return collection.update(items => [
+            ...items.filter(item => !unique.includes(item.birdId)),
+            ...unique.map(birdId => ({ seq: ++seq, birdId, timestamp }))
+        ]);
+    }
+
+    // 首次启用时为现有条目生成记录
+    function seed(ids) {
+        if (collection.get().length > 0) return Promise.resolve();
+        return record(ids);
+    }
+
+    /**
+     * 获取游标之后的变更记录（按序号从小到大）
+     * @param {number} since - 上次拉取到的序号
+     * @param {number} limit - 最多返回的条数
+     * @returns {Object} - { records, cursor, hasMore }
+     */
+    function list(since, limit) {
+        const pending = collection.get().filter(item => item.seq > since);
+        const records = pending.slice(0, limit);
+        return {
+            records: records,
+            // 游标超过当前最大序号说明上游数据被重置过，让镜像从头同步
+            cursor: records.length > 0 ? records[records.length - 1].seq : Math.min(since, lastSeq()),
+            hasMore: pending.length > limit
+        };
+    }
+
+    return { seed, record, list };
+}
+
+/**
+ * 生成提供给镜像站点的条目：去掉本站专用字段，并附上来源信息
+ * 本站上传的条目来源为本站，镜像来的条目保留最初的来源
+ * @param {Object} bird - 图鉴条目
+ * @param {string} siteUrl - 本站地址
+ * @returns {Object}
+ */
+function toMirrorEntry(bird, siteUrl) {
+    const entry = { ...bird };
+    LOCAL_FIELDS.forEach(field => delete entry[field]);
+    entry.origin = bird.origin || { url: siteUrl, id: bird.id };
+    return entry;
+}
+
+/**
+ * 创建镜像同步：定期从上游站点拉取新增或修改的条目及其图片
+ * @param {Object} options - 同步选项
+ * @param {Array<string>} options.upstreams - 上游站点地址
+ * @param {Object} options.collection - 保存各上游同步进度的 JSON 集合
+ * @param {string} options.imagesDir - 图片目录
+ * @param {Object} options.entrySchema - 上游条目的 schema（与上传条目的规则相同），只保留其中列出的字段
+ * @param {string} options.siteUrl - 本站地址（用于识别绕回本站的条目）
+ * @param {Function} options.getEntries - 获取本站全部条目
+ * @param {Function} options.onUpsert - 保存镜像条目 (bird, previous) => Promise
+ * @param {Function} options.onRemove - 移除镜像条目 (previous) => Promise
+ * @param {Function} [options.fetch] - 请求函数，默认使用全局 fetch
+ * @param {number} [options.pageSize] - 每次拉取的变更条数
+ * @param {number} [options.timeout] - 单次请求的超时时间（毫秒）
+ * @param {number} [options.maxImageSize] - 上游图片的大小上限（字节）
+ * @returns {Object} - 包含 sync / status / isRunning / stop 的同步对象
+ */
+function createMirror(options) {
+    const {
+        upstreams,
+        collection,
+        imagesDir,
+        entrySchema,
+        siteUrl,
+        getEntries,
+        onUpsert,
+        onRemove,
+        fetch: fetchFn = fetch,
+        pageSize = DEFAULT_PAGE_SIZE,
+        timeout = DEFAULT_TIMEOUT,
+        maxImageSize = DEFAULT_MAX_IMAGE_SIZE
+    } = options;
+
+    let running = null;
+
+    // 停止后不再开始新的同步，进行中的请求被中止
+    let stopped = false;
+    const controller = new AbortController();
+
+    // 获取某个上游的同步进度，不存在时创建
+    function getState(url) {
+        let state = collection.get().find(item => item.url === url);
+        if (!state) {
+            state = { url, cursor: 0, lastSyncAt: null, lastError: null, lastResult: null };
+            collection.get().push(state);
+        }
+        return state;
+    }
+
+    // 请求上游，网络错误和 5xx 视为上游暂时不可用，中止本轮同步
+    async function request(url) {
+        const response = await fetchFn(url, { signal: AbortSignal.any([controller.signal, AbortSignal.timeout(timeout)]) });
+        if (response.status >= 500) {
+            throw new Error(`${url} responded with ${response.status}`);
+        }
+        if (!response.ok) {
+            throw new MirrorError(`${url} responded with ${response.status}`);
+        }
+        return response;
+    }
+
+    // 读取响应内容，超过上限时停止读取并返回 null
+    async function readLimited(response, limit) {
+        if (Number(response.headers.get('content-length')) > limit) {
+            if (response.body) await response.body.cancel();
+            return null;
+        }
+
+        const chunks = [];
+        let size = 0;
+        if (response.body) {
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                if (size > limit) return null;
+                chunks.push(chunk);
+            }
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // 查找由该上游条目镜像而来的本站条目
+    function findMirrored(upstream, id) {
+        return getEntries().find(bird => bird.mirror && bird.mirror.upstream === upstream && bird.mirror.id === id) || null;
+    }
+
+    // 本站是否已有同一来源的条目（经其它上游镜像来的，或本站条目绕了一圈回来）
+    // 上游提供的 phash 不可信，不用于判断重复；同一张图片由本站重新计算哈希后在审核时识别
+    function isDuplicate(entry) {
+        const origin = entry.origin;
+        if (!origin) return false;
+        return getEntries().some(bird => {
+            const birdOrigin = bird.origin || { url: siteUrl, id: bird.id };
+            return birdOrigin.url === origin.url && birdOrigin.id === origin.id;
+        });
+    }
+
+    // 按条目 schema 校验上游条目，只保留 schema 中列出的字段（phash 等由本站重新生成）
+    function parseEntry(change) {
+        const { value, issues } = validate(entrySchema, change.entry);
+        if (issues.length > 0) {
+            throw new MirrorError(`Upstream entry ${change.id} is invalid: ${summarizeIssues('en', issues)}`);
+        }
+
+        const entry = {};
+        Object.keys(entrySchema.properties).forEach(key => {
+            if (value[key] !== undefined) entry[key] = value[key];
+        });
+        return entry;
+    }
+
+    // 下载条目的原图，按上传图片的规则校验并重新编码（去除元数据、生成各尺寸），保存为本站生成的文件名
+    async function downloadImages(upstream, entry) {
+        const file = entry.imageUrl || listImageFiles(entry)[0];
+        const response = await request(`${upstream}/api/images/${encodeURIComponent(file)}`);
+        const buffer = await readLimited(response, maxImageSize);
+        if (!buffer) {
+            throw new MirrorError(`Upstream image ${file} is larger than ${maxImageSize} bytes`);
+        }
+
+        try {
+            return { ...entry, ...(await processUpload(buffer, imagesDir)) };
+        } catch (error) {
+            if (error instanceof ImageProcessingError) {
+                throw new MirrorError(`Upstream image ${file} is not a valid image`);
+            }
+            throw error;
+        }
+    }
+
+    // 同步单条变更，返回结果类型
+    async function applyChange(upstream, change) {
+        const previous = findMirrored(upstream, change.id);
+
+        if (change.deleted) {
+            if (!previous) return 'skipped';
+            await onRemove(previous);
+            return 'removed';
+        }
+
+        const entry = parseEntry(change);
+        // 上游提供的文件名不可信，包含目录或 .. 的条目直接跳过
+        if (!hasSafeImageFiles(entry)) {
+            throw new MirrorError(`Upstream entry ${change.id} has an invalid image file name`);
+        }
+        if (!previous && isDuplicate(entry)) return 'skipped';
+
+        // 图片未变化时沿用已下载的文件
+        let bird;
+        if (previous && previous.mirror.imageUrl === (entry.imageUrl || null)) {
+            bird = { ...entry, imageUrl: previous.imageUrl };
+            if (previous.images) bird.images = previous.images;
+            else delete bird.images;
+        } else {
+            bird = listImageFiles(entry).length > 0 ? await downloadImages(upstream, entry) : { ...entry };
+        }
+
+        LOCAL_FIELDS.forEach(field => delete bird[field]);
+        bird.mirror = {
+            upstream: upstream,
+            id: change.id,
+            imageUrl: entry.imageUrl || null,
+            syncedAt: new Date().toISOString()
+        };
+
+        await onUpsert(bird, previous);
+        return previous ? 'updated' : 'added';
+    }
+
+    // 从单个上游拉取游标之后的全部变更
+    async function syncUpstream(upstream) {
+        const state = getState(upstream);
+        const result = { added: 0, updated: 0, removed: 0, skipped: 0, failed: 0 };
+
+        try {
+            let hasMore = true;
+            while (hasMore) {
+                const response = await request(`${upstream}/api/changes?since=${state.cursor}&limit=${pageSize}`);
+                const body = await readLimited(response, MAX_PAGE_BYTES);
+                if (!body) {
+                    throw new Error(`${upstream} returned a changes page larger than ${MAX_PAGE_BYTES} bytes`);
+                }
+                const page = JSON.parse(body.toString('utf8'));
+                if (!page || !Array.isArray(page.changes) || !Number.isInteger(page.cursor)) {
+                    throw new Error(`${upstream} returned an invalid changes page`);
+                }
+
+                // 逐条推进游标，中途出错或停止时下次从未处理的条目继续
+                for (const change of page.changes) {
+                    if (stopped) break;
+                    try {
+                        result[await applyChange(upstream, change)]++;
+                    } catch (error) {
+                        if (!(error instanceof MirrorError)) throw error;
+                        console.error(`Skipping mirrored entry ${upstream}#${change.id}:`, error.message);
+                        result.failed++;
+                    }
+                    state.cursor = change.seq;
+                }
+                if (stopped) break;
+                state.cursor = page.cursor;
+                hasMore = page.hasMore && page.changes.length > 0;
+                await collection.save();
+            }
+
+            if (!stopped) {
+                state.lastSyncAt = new Date().toISOString();
+                state.lastError = null;
+            }
+        } catch (error) {
+            console.error(`Error syncing from ${upstream}:`, error.message);
+            state.lastError = error.message;
+        }
+
+        state.lastResult = result;
+        await collection.save();
+        return { upstream, ...result, error: state.lastError };
+    }
+
+    /**
+     * 依次从所有上游同步，同一时间只进行一轮同步
+     * @returns {Promise<Array<Object>>} - 每个上游的同步结果
+     */
+    function sync() {
+        if (stopped) return Promise.resolve([]);
+        if (!running) {
+            running = (async () => {
+                const results = [];
+                for (const upstream of upstreams) {
+                    if (stopped) break;
+                    results.push(await syncUpstream(upstream));
+                }
+                return results;
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    // 各上游的同步进度
+    function status() {
+        return upstreams.map(url => {
+            const state = collection.get().find(item => item.url === url);
+            return state ? { ...state } : { url, cursor: 0, lastSyncAt: null, lastError: null, lastResult: null };
+        });
+    }
+
+    // 是否正在同步
+    function isRunning() {
+        return Boolean(running);
+    }
+
+    /**
+     * 停止同步：中止进行中的请求，处理完当前条目后结束本轮同步（已处理的进度会保存）
+     * @returns {Promise<void>} - 进行中的同步结束后 resolve
+     */
+    async function stop() {
+        stopped = true;
+        controller.abort();
+        if (running) await running.catch(() => {});
+    }
+
+    return { sync, status, isRunning, stop };
+}
+
+module.exports = {
+    createChangeFeed,
+    createMirror,
+    toMirrorEntry,
+    MirrorError
+};
@@ -0,0 +1,96 @@
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// 页面模板中的占位注释，服务端渲染时替换为对应内容
+const META_PLACEHOLDER = '<!-- page-meta -->';
+const DETAIL_PLACEHOLDER = '<!-- bird-detail -->';
+
+// 页面模板中的 <base>，服务端按路径前缀改写
+const BASE_TAG = '<base href="/">';
+
+// 分享卡片描述的最大长度
+const DESCRIPTION_LIMIT = 120;
+
+// 转义 HTML 文本与属性值
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 分享用的图片：优先使用中等尺寸的 JPEG（部分社交平台不支持 WebP）
+function getShareImage(bird) {
+    const variant = bird.images && bird.images.medium;
+    return variant && variant.jpeg ? variant.jpeg : bird.imageUrl || null;
+}
+
+// 分享卡片的描述：条目描述，没有时使用默认文案
+function getShareDescription(bird, siteTitle, locale) {
+    const text = bird.description || translate(locale, 'pages.shareDescription', { name: bird.name, title: siteTitle });
+    return text.length > DESCRIPTION_LIMIT ? `${text.slice(0, DESCRIPTION_LIMIT - 1)}…` : text;
+}
+
+/**
+ * 渲染首页模板：将 <base> 指向路径前缀，挂载到子路径下时页面中的相对地址仍能正确解析
+ * @param {string} template - 首页模板（public/index.html）
+ * @param {string} basePath - 路径前缀（如 /yelu，独立运行时为空）
+ * @returns {string} - 页面 HTML
+ */
+function renderIndexPage(template, basePath) {
+    return template.replace(BASE_TAG, () => `<base href="${escapeHtml(basePath)}/">`);
+}
+
+/**
+ * 渲染单个条目的页面：在首页模板中填入标题、OpenGraph / Twitter 卡片标签和条目内容，
+ * 不执行脚本的爬虫也能看到图片与名称，前端加载后直接使用内嵌的条目数据
+ * @param {string} template - 首页模板（已由 renderIndexPage 处理）
+ * @param {Object} bird - 图鉴条目
+ * @param {Object} site - 站点信息
+ * @param {string} site.title - 站点标题
+ * @param {string} site.url - 站点地址（用于生成绝对链接）
+ * @param {string} [locale] - 默认分享描述使用的语言
+ * @returns {string} - 页面 HTML
+ */
+function renderBirdPage(template, bird, site, locale = DEFAULT_LOCALE) {
+    const pageUrl = `${site.url}/bird/${bird.id}`;
+    const title = `${bird.name} - ${site.title}`;
+    const description = getShareDescription(bird, site.title, locale);
+    const image = getShareImage(bird);
+    const imageUrl = image ? `${site.url}/api/images/${encodeURIComponent(image)}` : null;
+
+    const meta = [
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        `<link rel="canonical" href="${escapeHtml(pageUrl)}">`,
+        '<meta property="og:type" content="article">',
+        `<meta property="og:site_name" content="${escapeHtml(site.title)}">`,
+        `<meta property="og:title" content="${escapeHtml(bird.name)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(pageUrl)}">`,
+        imageUrl && `<meta property="og:image" content="${escapeHtml(imageUrl)}">`,
+        imageUrl && `<meta property="og:image:alt" content="${escapeHtml(bird.name)}">`,
+        `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${escapeHtml(bird.name)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+        imageUrl && `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`
+    ].filter(Boolean).join('\n    ');
+
+    // 条目数据内嵌在页面中，转义 < 以免提前结束 script 标签
+    const data = JSON.stringify(bird).replace(/</g, '\\u003c');
+    const detail = [
+        // 图片使用相对地址，基于页面的 <base> 解析
+        imageUrl && `<img src="api/images/${encodeURIComponent(image)}" alt="${escapeHtml(bird.name)}" class="max-w-full max-h-[70vh] mx-auto">`,
+        `<h1 class="text-3xl font-bold text-center mt-4">${escapeHtml(bird.name)}</h1>`,
+        bird.description && `<p class="text-gray-600 text-center mt-2">${escapeHtml(bird.description)}</p>`,
+        `<script id="initial-bird" type="application/json">${data}</script>`
+    ].filter(Boolean).join('\n');
+
+    // 使用函数替换，避免内容中的 $ 被当作替换模式
+    return template
+        .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+        .replace(META_PLACEHOLDER, () => meta)
+        .replace(DETAIL_PLACEHOLDER, () => detail);
+}
+
+module.exports = { renderIndexPage, renderBirdPage };
@@ -0,0 +1,72 @@
+// 像素换算为 PDF 的点（按 96 DPI 计算，1 点 = 1/72 英寸）
+const POINTS_PER_PIXEL = 72 / 96;
+
+/**
+ * 将多张 JPEG 图片打包为 PDF，每张图片占一页，页面尺寸与图片一致
+ * JPEG 数据直接以 DCTDecode 嵌入，不重新编码
+ * @param {Array<Object>} pages - 页面列表：{ jpeg: Buffer, width: 像素, height: 像素 }
+ * @param {Object} [info] - 文档信息
+ * @param {string} [info.title] - 文档标题
+ * @returns {Buffer} - PDF 文件内容
+ */
+function createImagePdf(pages, info = {}) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    function write(data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+        chunks.push(buffer);
+        length += buffer.length;
+    }
+
+    // 写入一个间接对象（对象编号从1开始）
+    function writeObject(id, body, stream = null) {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    }
+
+    // 标题用 UTF-16BE 十六进制字符串表示，以支持中文
+    function encodeText(text) {
+        const utf16 = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+        return `<${utf16.toString('hex')}>`;
+    }
+
+    // 对象编号：1 目录，2 页面树，3 文档信息，之后每页依次为页面、内容流、图片
+    const pageIds = pages.map((page, index) => 4 + index * 3);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    writeObject(3, `<< /Producer (yeluyelu)${info.title ? ` /Title ${encodeText(info.title)}` : ''} >>`);
+
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const width = (page.width * POINTS_PER_PIXEL).toFixed(2);
+        const height = (page.height * POINTS_PER_PIXEL).toFixed(2);
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+        writeObject(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+        writeObject(pageId + 1, `<< /Length ${content.length} >>`, content);
+        writeObject(pageId + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+    });
+
+    // 交叉引用表
+    const objectCount = 4 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = { createImagePdf };
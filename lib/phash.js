@@ -0,0 +1,112 @@
+const sharp = require('sharp');
+
+// 哈希尺寸：9x8 灰度图，相邻像素比较得到 64 位差异哈希（dHash）
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * 计算图片的感知哈希（dHash）
+ * 缩放、压缩质量和轻微调色对结果影响很小，适合识别重复上传的梗图
+ * @param {Buffer|string} input - 图片内容或文件路径
+ * @returns {Promise<string>} - 16 位十六进制哈希字符串
+ */
+async function computeImageHash(input) {
+    const pixels = await sharp(input)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let col = 0; col < HASH_WIDTH - 1; col++) {
+            const left = pixels[row * HASH_WIDTH + col];
+            const right = pixels[row * HASH_WIDTH + col + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * 计算两个哈希之间的汉明距离（不同的位数）
+ * @param {string} a - 十六进制哈希
+ * @param {string} b - 十六进制哈希
+ * @returns {number} - 0 ~ 64，越小越相似
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * 在条目中查找与给定哈希最相似的一项
+ * @param {string} hash - 待比较的哈希
+ * @param {Array<Object>} items - 带有 phash 字段的条目
+ * @param {number} threshold - 视为重复的最大汉明距离
+ * @returns {Object|null} - { item, distance }，没有相似条目时返回 null
+ */
+function findNearest(hash, items, threshold) {
+    let nearest = null;
+
+    items.forEach(item => {
+        if (!item.phash) return;
+        const distance = hammingDistance(hash, item.phash);
+        if (distance <= threshold && (!nearest || distance < nearest.distance)) {
+            nearest = { item, distance };
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * 将相似的条目分组（相似关系可传递）
+ * @param {Array<Object>} items - 带有 phash 字段的条目
+ * @param {number} threshold - 视为重复的最大汉明距离
+ * @returns {Array<Array<Object>>} - 每组至少包含两个条目
+ */
+function findClusters(items, threshold) {
+    const hashed = items.filter(item => item.phash);
+    const parent = hashed.map((item, index) => index);
+
+    function find(index) {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    }
+
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            if (hammingDistance(hashed[i].phash, hashed[j].phash) <= threshold) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    hashed.forEach((item, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(item);
+    });
+
+    return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+module.exports = {
+    computeImageHash,
+    hammingDistance,
+    findNearest,
+    findClusters
+};
@@ -0,0 +1,198 @@
+const path = require('path');
+const sharp = require('sharp');
+const { createImagePdf } = require('./pdf');
+
+// 支持的输出格式
+const POSTER_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// 布局尺寸（像素）
+const LAYOUT = {
+    padding: 48,
+    cellWidth: 300,
+    imageHeight: 225,
+    nameHeight: 52,
+    gap: 24,
+    titleSize: 48,
+    subtitleSize: 24,
+    nameSize: 26,
+    qrSize: 120,
+    watermarkSize: 28
+};
+
+// 单页高度上限：WebP 最大 16383 像素，其它格式同样限制以免生成过大的图片
+const MAX_PAGE_HEIGHT = 16000;
+
+// 编码质量
+const JPEG_QUALITY = 85;
+const WEBP_QUALITY = 80;
+
+// 图片中文字使用的字体（按顺序回退）
+const FONT_FAMILY = "'Noto Sans CJK SC', 'Source Han Sans SC', 'PingFang SC', 'Microsoft YaHei', sans-serif";
+
+// 转义 SVG 文本
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// 页眉高度（无标题、副标题和二维码时为0），二维码位于页眉右侧
+function getHeaderHeight(title, subtitle, withQr) {
+    let height = 0;
+    if (title) height += LAYOUT.titleSize + 16;
+    if (subtitle) height += LAYOUT.subtitleSize + 16;
+    if (withQr) height = Math.max(height, LAYOUT.qrSize);
+    return height > 0 ? height + LAYOUT.gap : 0;
+}
+
+// 斜向平铺的半透明水印
+function createWatermarkSvg(text, width, height) {
+    const tile = { width: 480, height: 240 };
+    return `<defs><pattern id="watermark" width="${tile.width}" height="${tile.height}" patternUnits="userSpaceOnUse" patternTransform="rotate(-30)">`
+        + `<text x="0" y="${tile.height / 2}" font-size="${LAYOUT.watermarkSize}" fill-opacity="0.12">${escapeXml(text)}</text>`
+        + `</pattern></defs><rect width="${width}" height="${height}" fill="url(#watermark)"/>`;
+}
+
+/**
+ * 计算分页：每页的行数受单页高度上限约束
+ * @param {number} count - 条目数量
+ * @param {Object} options - 排版选项
+ * @param {number} options.columns - 列数
+ * @param {string} [options.title] - 标题
+ * @param {string} [options.subtitle] - 副标题
+ * @param {Buffer} [options.qr] - 二维码图片
+ * @returns {Object} - { perPage, pages }
+ */
+function paginatePoster(count, options) {
+    const { columns, title = '', subtitle = '', qr = null } = options;
+    const rowHeight = LAYOUT.imageHeight + LAYOUT.nameHeight + LAYOUT.gap;
+    const available = MAX_PAGE_HEIGHT - LAYOUT.padding * 2 - getHeaderHeight(title, subtitle, Boolean(qr)) + LAYOUT.gap;
+    const perPage = Math.max(Math.floor(available / rowHeight), 1) * columns;
+
+    return {
+        perPage: perPage,
+        pages: Math.max(Math.ceil(count / perPage), 1)
+    };
+}
+
+// 读取条目的缩略图并裁切为统一尺寸，图片缺失时返回 null
+async function loadCardImage(bird, imagesDir) {
+    const variant = bird.images && (bird.images.thumb || bird.images.medium);
+    const file = variant ? variant.jpeg : bird.imageUrl;
+    if (!file) return null;
+
+    try {
+        return await sharp(path.join(imagesDir, file))
+            .rotate()
+            .resize(LAYOUT.cellWidth, LAYOUT.imageHeight, { fit: 'cover' })
+            .flatten({ background: '#ffffff' })
+            .toBuffer();
+    } catch (error) {
+        console.error(`Error loading poster image ${file}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * 生成长图：页眉（标题、副标题、二维码）+ 按列排布的图片卡片（图片与名称），可叠加水印
+ * @param {Array<Object>} birds - 本页的条目
+ * @param {Object} options - 排版选项
+ * @param {string} options.imagesDir - 图片目录
+ * @param {number} options.columns - 列数
+ * @param {string} options.format - 输出格式：jpeg / png / webp（PDF 使用 renderPosterPdf）
+ * @param {string} [options.title] - 标题
+ * @param {string} [options.subtitle] - 副标题
+ * @param {Buffer} [options.qr] - 放在页眉右侧的二维码图片（边长 LAYOUT.qrSize）
+ * @param {string} [options.watermark] - 水印文字
+ * @returns {Promise<Buffer>} - 编码后的图片
+ */
+async function renderPoster(birds, options) {
+    const { imagesDir, columns, format, title = '', subtitle = '', qr = null, watermark = '' } = options;
+    const { padding, cellWidth, imageHeight, nameHeight, gap } = LAYOUT;
+
+    const rows = Math.max(Math.ceil(birds.length / columns), 1);
+    const headerHeight = getHeaderHeight(title, subtitle, Boolean(qr));
+    const width = padding * 2 + columns * cellWidth + (columns - 1) * gap;
+    const height = padding * 2 + headerHeight + rows * (imageHeight + nameHeight + gap) - gap;
+
+    const composites = [];
+    const texts = [];
+
+    // 页眉
+    let y = padding;
+    if (title) {
+        y += LAYOUT.titleSize;
+        texts.push(`<text x="${padding}" y="${y}" font-size="${LAYOUT.titleSize}" font-weight="bold">${escapeXml(title)}</text>`);
+        y += 16;
+    }
+    if (subtitle) {
+        y += LAYOUT.subtitleSize;
+        texts.push(`<text x="${padding}" y="${y}" font-size="${LAYOUT.subtitleSize}">${escapeXml(subtitle)}</text>`);
+    }
+    if (qr) {
+        composites.push({ input: qr, left: width - padding - LAYOUT.qrSize, top: padding });
+    }
+
+    // 卡片：逐张读取图片，避免同时占用过多内存
+    for (let i = 0; i < birds.length; i++) {
+        const left = padding + (i % columns) * (cellWidth + gap);
+        const top = padding + headerHeight + Math.floor(i / columns) * (imageHeight + nameHeight + gap);
+        const image = await loadCardImage(birds[i], imagesDir);
+
+        if (image) {
+            composites.push({ input: image, left, top });
+        } else {
+            texts.push(`<rect x="${left}" y="${top}" width="${cellWidth}" height="${imageHeight}" fill="#e5e7eb"/>`);
+        }
+        texts.push(`<text x="${left + cellWidth / 2}" y="${top + imageHeight + nameHeight / 2 + LAYOUT.nameSize / 3}" font-size="${LAYOUT.nameSize}" font-weight="bold" text-anchor="middle">${escapeXml(birds[i].name)}</text>`);
+    }
+
+    if (watermark) {
+        texts.push(createWatermarkSvg(watermark, width, height));
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="${escapeXml(FONT_FAMILY)}" fill="#000000">${texts.join('')}</svg>`;
+    composites.push({ input: Buffer.from(svg), left: 0, top: 0 });
+
+    const poster = sharp({
+        create: { width, height, channels: 3, background: '#ffffff' }
+    }).composite(composites);
+
+    if (format === 'png') return poster.png().toBuffer();
+    if (format === 'webp') return poster.webp({ quality: WEBP_QUALITY }).toBuffer();
+    return poster.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer();
+}
+
+/**
+ * 生成多页 PDF：按分页规则把全部条目排成若干张长图，每张一页
+ * @param {Array<Object>} birds - 全部条目
+ * @param {Object} options - 排版选项，同 renderPoster（format 除外）
+ * @returns {Promise<Buffer>} - PDF 文件内容
+ */
+async function renderPosterPdf(birds, options) {
+    const { perPage, pages } = paginatePoster(birds.length, options);
+    const pdfPages = [];
+
+    for (let page = 0; page < pages; page++) {
+        const jpeg = await renderPoster(birds.slice(page * perPage, (page + 1) * perPage), { ...options, format: 'jpeg' });
+        const { width, height } = await sharp(jpeg).metadata();
+        pdfPages.push({ jpeg, width, height });
+    }
+
+    return createImagePdf(pdfPages, { title: options.title });
+}
+
+module.exports = {
+    renderPoster,
+    renderPosterPdf,
+    paginatePoster,
+    POSTER_FORMATS
+};
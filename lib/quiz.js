@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { createRandom, shuffle } = require('./random');
+const { ApiError } = require('./errors');
+
+// 题型：看图选名称（name）、看名称选图（image）
+const ROUND_TYPES = ['name', 'image'];
+
+// 本站的梗：名为“夜鹭”的都不是夜鹭。看名称选图时有一半的机会考这个名字
+const FEATURED_NAME = '夜鹭';
+const FEATURED_CHANCE = 0.5;
+
+// 题目图片的尺寸
+const QUIZ_IMAGE_SIZES = ['thumb', 'medium', 'original'];
+
+// 题数与选项数的范围
+const QUIZ_LIMITS = {
+    rounds: { min: 1, max: 20, default: 10 },
+    choices: { min: 2, max: 6, default: 4 }
+};
+
+// 测验错误：条目不足以出题（QUIZ_NOT_ENOUGH_NAMES），或题目在作答前发生了变化（QUIZ_CHANGED）
+class QuizError extends ApiError {
+    constructor(code, params) {
+        super(code, { params });
+        this.name = 'QuizError';
+    }
+}
+
+/**
+ * 整理出题用的条目：只使用有图片的条目，按名称分组
+ * 条目按ID排序，出题结果与条目列表的顺序无关
+ * @param {Array<Object>} entries - 公开的条目
+ * @param {string|Buffer} secret - 题目指纹与图片令牌的签名密钥，不能透露给客户端
+ * @returns {Object} - { names: 全部名称, byName: 名称 → 条目列表, secret }
+ */
+function createQuizPool(entries, secret) {
+    const byName = new Map();
+    entries
+        .filter(bird => bird.imageUrl || bird.images)
+        .sort((a, b) => a.id - b.id)
+        .forEach(bird => {
+            if (!byName.has(bird.name)) byName.set(bird.name, []);
+            byName.get(bird.name).push(bird);
+        });
+
+    return { names: [...byName.keys()].sort(), byName, secret };
+}
+
+// 每道题使用由测验种子和题号派生的随机数，校验答案时只需重新生成这一道题
+function createRoundRandom(seed, index) {
+    const hash = crypto.createHash('sha256').update(`${seed}:${index}`).digest();
+    return createRandom(hash.readUInt32LE(0));
+}
+
+// 随机取一个元素
+function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// 计算签名
+function sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// 题目的指纹：选项对应的条目变化后，作答时能发现题目已经不同
+// 使用带密钥的签名，客户端无法从公开的条目ID反推出各选项对应的条目
+function getRoundKey(pool, options) {
+    return sign(pool.secret, options.map(bird => bird.id).join(',')).substring(0, 16);
+}
+
+// 题目图片的令牌：只包含题目的位置（种子、题号、选项数、指纹与图片位置），由服务端重新出题后找到图片
+// 图片地址与文件名都不出现在题目中，避免从文件名（旧数据的文件名就是条目名称）看出答案
+function createImageToken(pool, seed, index, choices, key, slot) {
+    const payload = Buffer.from(JSON.stringify([seed, index, choices, key, slot])).toString('base64url');
+    return `${payload}.${sign(pool.secret, payload).substring(0, 22)}`;
+}
+
+/**
+ * 生成一道题：相同的条目、种子、题号和选项数总是生成同样的题目
+ * @param {Object} pool - createQuizPool 的结果
+ * @param {number} seed - 测验种子
+ * @param {number} index - 题号（从0开始）
+ * @param {number} choices - 选项数
+ * @returns {Object} - { round: 发给客户端的题目, answer: 正确选项的序号, bird: 正确答案对应的条目, options: 各选项对应的条目 }
+ */
+function generateRound(pool, seed, index, choices) {
+    if (pool.names.length < choices) {
+        throw new QuizError('QUIZ_NOT_ENOUGH_NAMES', { choices });
+    }
+
+    const random = createRoundRandom(seed, index);
+    const type = pick(ROUND_TYPES, random);
+    const name = type === 'image' && pool.byName.has(FEATURED_NAME) && random() < FEATURED_CHANCE
+        ? FEATURED_NAME
+        : pick(pool.names, random);
+    const target = pick(pool.byName.get(name), random);
+
+    // 干扰项：从其它名称中各取一个条目，保证选项的名称互不相同
+    const others = shuffle(pool.names.filter(other => other !== name), random)
+        .slice(0, choices - 1)
+        .map(other => pick(pool.byName.get(other), random));
+    const options = shuffle([target, ...others], random);
+
+    const key = getRoundKey(pool, options);
+    const round = { index, type, key };
+    if (type === 'name') {
+        round.image = { token: createImageToken(pool, seed, index, choices, key, -1) };
+        round.choices = options.map(bird => bird.name);
+    } else {
+        round.name = name;
+        round.choices = options.map((bird, slot) => ({ token: createImageToken(pool, seed, index, choices, key, slot) }));
+    }
+
+    return { round, answer: options.indexOf(target), bird: target, options };
+}
+
+/**
+ * 生成一组题目（不含答案）
+ * @param {Object} pool - createQuizPool 的结果
+ * @param {number} seed - 测验种子
+ * @param {number} rounds - 题数
+ * @param {number} choices - 每题的选项数
+ * @returns {Array<Object>}
+ */
+function generateQuiz(pool, seed, rounds, choices) {
+    return Array.from({ length: rounds }, (item, index) => generateRound(pool, seed, index, choices).round);
+}
+
+/**
+ * 校验答案：重新生成这道题并比对
+ * @param {Object} pool - createQuizPool 的结果
+ * @param {Object} answer - 作答内容
+ * @param {number} answer.seed - 测验种子
+ * @param {number} answer.index - 题号
+ * @param {number} answer.choices - 选项数
+ * @param {string} answer.key - 题目指纹
+ * @param {number} answer.choice - 选择的序号
+ * @returns {Object} - { correct, answer: 正确选项的序号, bird: 正确答案对应的条目 }
+ */
+function checkAnswer(pool, { seed, index, choices, key, choice }) {
+    const generated = generateRound(pool, seed, index, choices);
+    if (generated.round.key !== key) {
+        throw new QuizError('QUIZ_CHANGED');
+    }
+
+    return {
+        correct: choice === generated.answer,
+        answer: generated.answer,
+        bird: generated.bird
+    };
+}
+
+/**
+ * 解析题目图片的令牌：校验签名后重新生成这道题，返回令牌对应的条目
+ * @param {Object} pool - createQuizPool 的结果
+ * @param {string} token - 题目中的图片令牌
+ * @returns {Object|null} - 条目，令牌无效时返回 null
+ * @throws {QuizError} - 题目在出题后发生了变化（QUIZ_CHANGED）
+ */
+function resolveQuizImage(pool, token) {
+    const [payload, signature, ...rest] = String(token).split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(pool.secret, payload).substring(0, 22));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let seed, index, choices, key, slot;
+    try {
+        [seed, index, choices, key, slot] = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    const generated = generateRound(pool, seed, index, choices);
+    if (generated.round.key !== key) {
+        throw new QuizError('QUIZ_CHANGED');
+    }
+    if (generated.round.type === 'name') {
+        return slot === -1 ? generated.bird : null;
+    }
+    return generated.options[slot] || null;
+}
+
+module.exports = {
+    createQuizPool,
+    generateQuiz,
+    checkAnswer,
+    resolveQuizImage,
+    QuizError,
+    QUIZ_LIMITS,
+    QUIZ_IMAGE_SIZES
+};
@@ -0,0 +1,32 @@
+/**
+ * 可复现的伪随机数生成器（mulberry32）：同一个种子总是得到同样的序列
+ * @param {number} seed - 种子（32位整数）
+ * @returns {Function} - 每次调用返回 [0, 1) 之间的数
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 打乱数组（Fisher-Yates），不修改原数组
+ * @param {Array} list - 原数组
+ * @param {Function} random - 随机数生成器
+ * @returns {Array} - 打乱后的新数组
+ */
+function shuffle(list, random) {
+    const shuffled = [...list];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+module.exports = { createRandom, shuffle };
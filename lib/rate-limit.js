@@ -0,0 +1,134 @@
+// 命中记录写回磁盘的延迟：短时间内的多次操作只写一次
+const SAVE_DELAY = 5000;
+
+/**
+ * 创建命中记录：所有操作限制器共用一个 JSON 集合，记录常驻内存并延迟写回
+ * @param {Object} collection - 保存命中记录的 JSON 集合
+ * @returns {Object} - 包含 list / add / removeLatest / removeAll / flush 的记录对象
+ */
+function createHitLog(collection) {
+    let timer = null;
+
+    // 清除过期记录（旧版本没有 key 字段的记录一并清除）
+    function prune(now = Date.now()) {
+        const items = collection.get();
+        const alive = items.filter(hit => hit.key && new Date(hit.expiresAt).getTime() > now);
+        if (alive.length !== items.length) {
+            items.splice(0, items.length, ...alive);
+        }
+    }
+
+    // 延迟写回磁盘
+    function scheduleSave() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            prune();
+            collection.save().catch(error => {
+                console.error('Error writing IP operations:', error);
+            });
+        }, SAVE_DELAY);
+        timer.unref();
+    }
+
+    // 获取某个键在窗口内的命中记录（按时间先后）
+    function list(key, now = Date.now()) {
+        return collection.get().filter(hit => hit.key === key && new Date(hit.expiresAt).getTime() > now);
+    }
+
+    // 记录一次命中
+    function add(key, now, windowMs) {
+        collection.get().push({
+            key: key,
+            timestamp: new Date(now).toISOString(),
+            expiresAt: new Date(now + windowMs).toISOString()
+        });
+        scheduleSave();
+    }
+
+    // 撤回某个键最近的一次命中
+    function removeLatest(key) {
+        const items = collection.get();
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (items[i].key === key) {
+                items.splice(i, 1);
+                scheduleSave();
+                return;
+            }
+        }
+    }
+
+    // 清除某个键的全部命中
+    function removeAll(key) {
+        const items = collection.get();
+        const kept = items.filter(hit => hit.key !== key);
+        items.splice(0, items.length, ...kept);
+        scheduleSave();
+    }
+
+    // 立即写回尚未保存的记录
+    async function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+            prune();
+            await collection.save();
+        }
+        await collection.flush();
+    }
+
+    return { list, add, removeLatest, removeAll, flush };
+}
+
+/**
+ * 创建滑动窗口计数存储（express-rate-limit 的 Store 接口）
+ * 窗口内的每次命中单独记录，最早的一次过期后即可恢复一次额度
+ * @param {Object} hitLog - createHitLog 创建的命中记录
+ * @param {string} prefix - 键前缀，用于区分不同的操作类型
+ * @returns {Object} - Store 对象
+ */
+function createSlidingWindowStore(hitLog, prefix) {
+    let windowMs = 0;
+
+    // 统计窗口内的命中数，以及下一次恢复额度的时间
+    function summarize(key, now) {
+        const hits = hitLog.list(`${prefix}:${key}`, now);
+        const oldest = hits.length > 0 ? new Date(hits[0].timestamp).getTime() : now;
+        return {
+            totalHits: hits.length,
+            resetTime: new Date(oldest + windowMs)
+        };
+    }
+
+    return {
+        prefix: `${prefix}:`,
+        localKeys: true,
+
+        init(options) {
+            windowMs = options.windowMs;
+        },
+
+        async get(key) {
+            return summarize(key, Date.now());
+        },
+
+        async increment(key) {
+            const now = Date.now();
+            hitLog.add(`${prefix}:${key}`, now, windowMs);
+            return summarize(key, now);
+        },
+
+        async decrement(key) {
+            hitLog.removeLatest(`${prefix}:${key}`);
+        },
+
+        async resetKey(key) {
+            hitLog.removeAll(`${prefix}:${key}`);
+        }
+    };
+}
+
+module.exports = {
+    createHitLog,
+    createSlidingWindowStore
+};
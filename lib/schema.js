@@ -0,0 +1,415 @@
+const http = require('http');
+const { ApiError, ERRORS, sendError } = require('./errors');
+const { formatList, translate } = require('./i18n');
+
+// 组件 schema 的引用前缀（OpenAPI 文档与校验共用同一套 schema）
+const REF_PREFIX = '#/components/schemas/';
+
+// 字符串形式的列表（查询参数、表单字段）使用的分隔符
+const LIST_SEPARATOR = /[,，、]/;
+
+/**
+ * 校验失败的一条说明，如“name cannot exceed 40 characters”（规则说明取自 locales/ 中的 validation 文案）
+ * @param {string} locale - 语言代码
+ * @param {Object} issue - 校验问题
+ * @returns {string}
+ */
+function describeIssue(locale, issue) {
+    const rule = translate(locale, `validation.rules.${issue.rule}`, {
+        ...issue,
+        expected: issue.expected && formatList(locale, issue.expected.map(type => translate(locale, `validation.types.${type}`)), 'disjunction'),
+        allowed: issue.allowed && formatList(locale, issue.allowed, 'disjunction'),
+        format: issue.format && translate(locale, `validation.formats.${issue.format}`)
+    });
+    return translate(locale, 'validation.issue', { field: issue.field || issue.in, rule });
+}
+
+// 各条问题的说明连接成整体说明
+function summarizeIssues(locale, issues) {
+    return issues.map(issue => describeIssue(locale, issue)).join(translate(locale, 'validation.separator'));
+}
+
+// 参数校验错误：details 中每条问题的 message 与整体说明按响应的语言生成
+class ValidationError extends ApiError {
+    constructor(issues) {
+        super('VALIDATION_FAILED', { details: issues, params: { details: summarizeIssues('en', issues) } });
+        this.name = 'ValidationError';
+    }
+
+    toResponse(locale) {
+        const details = this.fields.details.map(issue => ({ ...issue, message: describeIssue(locale, issue) }));
+        return {
+            error: translate(locale, 'errors.VALIDATION_FAILED', { details: summarizeIssues(locale, this.fields.details) }),
+            code: this.code,
+            details
+        };
+    }
+}
+
+/**
+ * 生成参数校验错误（VALIDATION_FAILED），details 中每项为 { in, field, rule, limit?, allowed?, expected?, format?, message }
+ * 路由中无法用 schema 表达的校验（如字段之间的关系）也用它返回同样格式的错误
+ * @param {Object|Array<Object>} issues - 校验问题（不含 message）
+ * @returns {ValidationError}
+ */
+function validationError(issues) {
+    return new ValidationError([].concat(issues));
+}
+
+// 引用组件 schema
+function ref(name) {
+    return { $ref: `${REF_PREFIX}${name}` };
+}
+
+// schema 允许的类型列表
+function getTypes(schema) {
+    if (schema.type === undefined) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+// 判断值是否符合某个类型
+function matchesType(type, value) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+}
+
+// 路径参数、查询参数和表单字段都是字符串，按 schema 的类型转换（无法转换时原样返回，由类型检查报错）
+function coerceString(types, value) {
+    if (typeof value !== 'string' || types.includes('string')) return value;
+
+    const text = value.trim();
+    if (types.includes('integer') && /^-?\d+$/.test(text)) return Number(text);
+    if (types.includes('number') && text !== '' && Number.isFinite(Number(text))) return Number(text);
+    if (types.includes('boolean') && ['true', '1', 'false', '0'].includes(text)) return text === 'true' || text === '1';
+    if (types.includes('array')) return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    return value;
+}
+
+/**
+ * 创建校验器：支持 OpenAPI 3.1（JSON Schema）的一个子集
+ * type / enum / minimum / maximum / minLength / maxLength / pattern / format(date-time) /
+ * items / minItems / maxItems / properties / required / additionalProperties / allOf / anyOf / default / $ref
+ * @param {Object} schemas - 组件 schema（名称 -> schema）
+ * @returns {Function} - (schema, value, options) => { value, issues }
+ */
+function createValidator(schemas) {
+    function resolve(schema) {
+        let resolved = schema;
+        while (resolved.$ref) {
+            const name = resolved.$ref.slice(REF_PREFIX.length);
+            if (!schemas[name]) throw new Error(`Unknown schema reference: ${resolved.$ref}`);
+            resolved = schemas[name];
+        }
+        return resolved;
+    }
+
+    // 校验单个值，返回转换后的值（补上默认值），问题（不含说明）记录在 issues 中
+    function check(rawSchema, input, context, field, issues) {
+        const schema = resolve(rawSchema);
+        const report = (rule, extra = {}) => {
+            issues.push({ in: context.in, field, rule, ...extra });
+        };
+
+        if (schema.allOf) {
+            return schema.allOf.reduce((value, part) => check(part, value, context, field, issues), input);
+        }
+        if (schema.anyOf) {
+            for (const option of schema.anyOf) {
+                const attempt = [];
+                const value = check(option, input, context, field, attempt);
+                if (attempt.length === 0) return value;
+            }
+            report('anyOf');
+            return input;
+        }
+
+        const types = getTypes(schema);
+        const value = context.coerce ? coerceString(types, input) : input;
+
+        if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+            report('type', { expected: types });
+            return value;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            report('enum', { allowed: schema.enum });
+            return value;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                report('minLength', { limit: schema.minLength });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                report('maxLength', { limit: schema.maxLength });
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+                report('pattern');
+            }
+            if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+                report('format', { format: schema.format });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                report('minimum', { limit: schema.minimum });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                report('maximum', { limit: schema.maximum });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                report('minItems', { limit: schema.minItems });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                report('maxItems', { limit: schema.maxItems });
+            }
+            if (schema.items) {
+                return value.map((item, index) => check(schema.items, item, context, `${field}[${index}]`, issues));
+            }
+            return value;
+        }
+
+        if (matchesType('object', value) && (schema.properties || schema.additionalProperties !== undefined)) {
+            const output = { ...value };
+            const properties = schema.properties || {};
+            const path = key => (field ? `${field}.${key}` : key);
+
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) report('required', { field: path(key) });
+            });
+            Object.entries(properties).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) {
+                    output[key] = check(propertySchema, value[key], context, path(key), issues);
+                } else if (resolve(propertySchema).default !== undefined) {
+                    output[key] = structuredClone(resolve(propertySchema).default);
+                }
+            });
+
+            const extraKeys = Object.keys(value).filter(key => !(key in properties));
+            if (schema.additionalProperties === false && extraKeys.length > 0) {
+                extraKeys.forEach(key => report('additionalProperties', { field: path(key) }));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                extraKeys.forEach(key => {
+                    output[key] = check(schema.additionalProperties, value[key], context, path(key), issues);
+                });
+            }
+            return output;
+        }
+
+        return value;
+    }
+
+    return function validate(schema, value, options = {}) {
+        const issues = [];
+        const context = { in: options.in || 'body', coerce: Boolean(options.coerce) };
+        const result = check(schema, value, context, '', issues);
+        return { value: result, issues };
+    };
+}
+
+// 路径参数和查询参数在路由中写成 名称 -> schema，校验时组成对象 schema
+function toObjectSchema(properties, required) {
+    return { type: 'object', properties, required: required ? Object.keys(properties) : [] };
+}
+
+// 按 HTTP 状态码分组错误码
+function groupErrorsByStatus(codes) {
+    const groups = new Map();
+    codes.forEach(code => {
+        if (!ERRORS[code]) throw new Error(`Unknown error code: ${code}`);
+        const status = ERRORS[code].status;
+        if (!groups.has(status)) groups.set(status, []);
+        if (!groups.get(status).includes(code)) groups.get(status).push(code);
+    });
+    return groups;
+}
+
+/**
+ * 创建接口注册器：路由与其请求 / 响应 schema 一起注册，
+ * 请求在进入处理函数前按 schema 校验并转换（结果保存在 res.locals.params / query / body），
+ * 同一份 schema 用于生成 OpenAPI 文档
+ * @param {Object} app - Express 应用
+ * @param {Object} options - 注册选项
+ * @param {Object} options.info - OpenAPI 文档的 info（title / version / description）
+ * @param {Object} options.schemas - 组件 schema（名称 -> schema）
+ * @param {Object} [options.auth] - 认证中间件 { required, optional }，用于在文档中标注接口的认证要求，校验紧接在它之后
+ * @param {Function} [options.parseForm] - multipart 表单的解析中间件（只读入字段和文件，不处理图片），form 接口在校验前使用
+ * @param {boolean} [options.checkResponses] - 是否按 schema 检查成功响应（不符合时只输出警告，用于开发环境）
+ * @returns {Object} - 包含 get / post / put / delete / document 的注册器
+ *
+ * 路由定义（spec）：
+ *   summary / description / tags - 文档说明
+ *   params - 路径参数（名称 -> schema，均为必填）
+ *   query - 查询参数（名称 -> schema，均为可选）
+ *   body - JSON 请求体的 schema；form 为 true 时请求体为 multipart 表单（由 parseForm 解析），字段按类型转换
+ *   rawBody - 不经校验的请求体的内容类型（如上传归档）
+ *   responses - 状态码 -> 响应 schema；带 content 的对象原样作为非 JSON 响应写入文档
+ *   errors - 可能返回的错误码（参数校验和认证的错误码会自动补上）
+ */
+function createApi(app, options) {
+    const { info, schemas, auth = {}, parseForm, checkResponses = false } = options;
+    const validate = createValidator(schemas);
+    const routes = [];
+
+    // 校验路径参数、查询参数和请求体
+    function validateRequest(spec) {
+        const paramsSchema = spec.params ? toObjectSchema(spec.params, true) : null;
+        const querySchema = spec.query ? toObjectSchema(spec.query, false) : null;
+
+        return (req, res, next) => {
+            const issues = [];
+            const run = (schema, value, location, coerce) => {
+                if (!schema) return value;
+                const result = validate(schema, value, { in: location, coerce });
+                issues.push(...result.issues);
+                return result.value;
+            };
+
+            res.locals.params = run(paramsSchema, { ...req.params }, 'params', true);
+            res.locals.query = run(querySchema, { ...req.query }, 'query', true);
+            res.locals.body = run(spec.body, { ...(req.body || {}) }, 'body', Boolean(spec.form));
+
+            if (issues.length > 0) {
+                return sendError(res, validationError(issues));
+            }
+            next();
+        };
+    }
+
+    // 开发环境下检查成功响应是否符合文档中的 schema
+    function checkResponse(method, path, spec) {
+        return (req, res, next) => {
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                const schema = spec.responses && spec.responses[res.statusCode];
+                if (schema && !schema.content) {
+                    const { issues } = validate(schema, body, { in: 'response' });
+                    if (issues.length > 0) {
+                        console.warn(`Response of ${method.toUpperCase()} ${path} does not match its schema: ${summarizeIssues('en', issues)}`);
+                    }
+                }
+                return json(body);
+            };
+            next();
+        };
+    }
+
+    // 注册路由：认证之后立即校验（频率限制、操作日志之前），无效的请求不占用额度也不写入日志
+    // multipart 表单先解析出文本字段再校验，图片在处理函数中才处理
+    function route(method, path, spec, ...handlers) {
+        if (spec.form && !parseForm) throw new Error(`${method.toUpperCase()} ${path} accepts a form but no parseForm is configured`);
+        routes.push({ method, path, spec, handlers });
+        const handler = handlers.pop();
+        const authIndex = handlers.findIndex(fn => fn === auth.required || fn === auth.optional);
+        app[method](path,
+            ...(checkResponses ? [checkResponse(method, path, spec)] : []),
+            ...handlers.slice(0, authIndex + 1),
+            ...(spec.form ? [parseForm] : []),
+            validateRequest(spec),
+            ...handlers.slice(authIndex + 1),
+            handler);
+    }
+
+    // 生成单个接口的 OpenAPI 描述
+    function describeOperation({ spec, handlers }) {
+        const requiresAdmin = auth.required && handlers.includes(auth.required);
+        const acceptsAdmin = auth.optional && handlers.includes(auth.optional);
+
+        const parameters = [
+            ...Object.entries(spec.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+            ...Object.entries(spec.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema }))
+        ];
+
+        let requestBody;
+        if (spec.body) {
+            requestBody = {
+                required: Boolean(spec.body.required && spec.body.required.length > 0),
+                content: { [spec.form ? 'multipart/form-data' : 'application/json']: { schema: spec.body } }
+            };
+        } else if (spec.rawBody) {
+            requestBody = { required: true, content: { [spec.rawBody]: { schema: { type: 'string', format: 'binary' } } } };
+        }
+
+        const responses = {};
+        Object.entries(spec.responses || {}).forEach(([status, response]) => {
+            responses[status] = response.content
+                ? { description: response.description || http.STATUS_CODES[status], content: response.content }
+                : { description: http.STATUS_CODES[status], content: { 'application/json': { schema: response } } };
+        });
+
+        const errorCodes = [
+            ...(parameters.length > 0 || spec.body ? ['VALIDATION_FAILED'] : []),
+            ...(requiresAdmin ? ['UNAUTHORIZED'] : []),
+            ...(spec.errors || [])
+        ];
+        groupErrorsByStatus(errorCodes).forEach((codes, status) => {
+            responses[status] = {
+                description: http.STATUS_CODES[status],
+                content: {
+                    'application/json': {
+                        schema: { allOf: [ref('Error'), { properties: { code: { enum: codes } } }] }
+                    }
+                }
+            };
+        });
+
+        return {
+            summary: spec.summary,
+            ...(spec.description ? { description: spec.description } : {}),
+            ...(spec.tags ? { tags: spec.tags } : {}),
+            ...(parameters.length > 0 ? { parameters } : {}),
+            ...(requestBody ? { requestBody } : {}),
+            responses,
+            ...(requiresAdmin ? { security: [{ adminToken: [] }] } : {}),
+            ...(acceptsAdmin ? { security: [{}, { adminToken: [] }] } : {})
+        };
+    }
+
+    /**
+     * 生成 OpenAPI 3.1 文档
+     * @param {Array<Object>} [servers] - 服务地址
+     * @returns {Object}
+     */
+    function document(servers = []) {
+        const paths = {};
+        routes.forEach(entry => {
+            const path = entry.path.replace(/:(\w+)/g, '{$1}');
+            if (!paths[path]) paths[path] = {};
+            paths[path][entry.method] = describeOperation(entry);
+        });
+
+        return {
+            openapi: '3.1.0',
+            info,
+            ...(servers.length > 0 ? { servers } : {}),
+            paths,
+            components: {
+                schemas,
+                securitySchemes: {
+                    adminToken: { type: 'http', scheme: 'bearer', description: '管理员登录后获得的令牌' }
+                }
+            }
+        };
+    }
+
+    return {
+        get: (...args) => route('get', ...args),
+        post: (...args) => route('post', ...args),
+        put: (...args) => route('put', ...args),
+        delete: (...args) => route('delete', ...args),
+        document
+    };
+}
+
+module.exports = { createApi, createValidator, validationError, summarizeIssues, ref };
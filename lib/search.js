@@ -0,0 +1,147 @@
+const { pinyin } = require('pinyin-pro');
+const OpenCC = require('opencc-js');
+
+// 繁体转简体，搜索时统一按简体比较
+const toSimplified = OpenCC.Converter({ from: 't', to: 'cn' });
+
+// 各匹配方式的基础得分，越精确得分越高
+const SCORES = {
+    exact: 100,
+    prefix: 85,
+    substring: 70,
+    pinyinExact: 90,
+    pinyinPrefix: 75,
+    pinyinSubstring: 60,
+    initialsExact: 65,
+    initialsPrefix: 50,
+    fuzzy: 40
+};
+
+/**
+ * 规范化文本：转小写、去除空白、繁体转简体
+ * @param {string} text - 原始文本
+ * @returns {string} - 规范化后的文本
+ */
+function normalizeText(text) {
+    return toSimplified(String(text || '').toLowerCase()).replace(/\s+/g, '');
+}
+
+// 生成一段文本的全拼与首字母（非汉字原样保留）
+function toPinyinKeys(text) {
+    const syllables = pinyin(text, { toneType: 'none', type: 'array', v: true, nonZh: 'consecutive' });
+    return {
+        full: syllables.join('').toLowerCase(),
+        initials: syllables.map(syllable => syllable.charAt(0)).join('').toLowerCase()
+    };
+}
+
+// 计算两个字符串的编辑距离（允许相邻字符交换），超过 max 时提前返回
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push(new Array(b.length + 1).fill(0));
+        rows[i][0] = i;
+    }
+    for (let j = 0; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        let rowMin = Infinity;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, rows[i][j]);
+        }
+        if (rowMin > max) return max + 1;
+    }
+
+    return rows[a.length][b.length];
+}
+
+// 查询允许的拼写错误数：短查询只容忍 1 处
+function allowedTypos(query) {
+    if (query.length < 3) return 0;
+    return query.length <= 5 ? 1 : 2;
+}
+
+// 计算查询与单个名称的匹配得分，未匹配返回 0
+function scoreTerm(query, term) {
+    const { text, full, initials } = term;
+    const lengthBonus = Math.max(0, 10 - Math.abs(text.length - query.length));
+
+    if (text === query) return SCORES.exact + lengthBonus;
+    if (text.startsWith(query)) return SCORES.prefix + lengthBonus;
+    if (text.includes(query)) return SCORES.substring + lengthBonus;
+
+    if (full === query) return SCORES.pinyinExact + lengthBonus;
+    if (full.startsWith(query)) return SCORES.pinyinPrefix + lengthBonus;
+    if (full.includes(query)) return SCORES.pinyinSubstring + lengthBonus;
+
+    if (initials === query) return SCORES.initialsExact + lengthBonus;
+    if (query.length >= 2 && initials.startsWith(query)) return SCORES.initialsPrefix + lengthBonus;
+
+    // 容错匹配：分别与原文和全拼比较
+    const maxTypos = allowedTypos(query);
+    if (maxTypos > 0) {
+        const distance = Math.min(
+            editDistance(query, text, maxTypos),
+            editDistance(query, full, maxTypos),
+            editDistance(query, full.slice(0, query.length), maxTypos)
+        );
+        if (distance <= maxTypos) {
+            return SCORES.fuzzy - distance * 10;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * 创建搜索索引：为条目的名称和别名预先生成简体、拼音与首字母，按相关度排序返回结果
+ * 计算结果按名称缓存，条目增删改后无需手动重建
+ * @returns {Object} - 包含 search 的索引对象
+ */
+function createSearchIndex() {
+    const termCache = new Map();
+
+    function getTerm(name) {
+        if (!termCache.has(name)) {
+            const text = normalizeText(name);
+            termCache.set(name, { text, ...toPinyinKeys(text) });
+        }
+        return termCache.get(name);
+    }
+
+    /**
+     * 搜索条目
+     * @param {Array<Object>} items - 要搜索的条目
+     * @param {string} query - 搜索词
+     * @returns {Array<Object>} - 按相关度排序的条目，得分相同时保持原顺序
+     */
+    function search(items, query) {
+        const normalized = normalizeText(query);
+        if (!normalized) return items;
+
+        return items
+            .map((item, order) => {
+                const names = [item.name, ...(Array.isArray(item.aliases) ? item.aliases : [])];
+                const score = Math.max(...names.map(name => scoreTerm(normalized, getTerm(name))));
+                return { item, order, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .map(result => result.item);
+    }
+
+    return { search };
+}
+
+module.exports = { createSearchIndex, normalizeText };
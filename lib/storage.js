@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// 当前存储格式版本
+const STORAGE_VERSION = 1;
+
+/**
+ * 原子写入文件：先写入同目录下的临时文件并刷盘，再重命名覆盖目标文件
+ * 即使进程在写入过程中崩溃，目标文件也只会是旧内容或新内容之一
+ * @param {string} filePath - 目标文件路径
+ * @param {string} content - 文件内容
+ */
+async function writeFileAtomic(filePath, content) {
+    const dir = path.dirname(filePath);
+    const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+    let handle;
+    try {
+        handle = await fs.open(tmpPath, 'w');
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+        await handle.close();
+        handle = null;
+        await fs.rename(tmpPath, filePath);
+    } catch (error) {
+        if (handle) await handle.close().catch(() => {});
+        await fs.unlink(tmpPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * 创建一个以 JSON 文件持久化的集合
+ * 数据常驻内存，所有写入串行执行，并发的保存请求会合并为一次写入
+ * @param {string} filePath - 数据文件路径
+ * @param {Object} options - 集合选项
+ * @param {string} options.key - 新格式中保存数据的字段名
+ * @param {number} [options.indent] - JSON 缩进，默认不缩进
+ * @returns {Object} - 包含 load / get / save / update / flush 的集合对象
+ */
+function createJsonCollection(filePath, options) {
+    const { key, indent = 0 } = options;
+
+    let items = [];
+    let writing = null;
+    let dirty = false;
+
+    // 序列化为带版本号的存储格式
+    function serialize() {
+        return JSON.stringify({ version: STORAGE_VERSION, [key]: items }, null, indent || undefined);
+    }
+
+    // 将内存中的数据写入磁盘（串行、合并写入）
+    function persist() {
+        dirty = true;
+        if (!writing) {
+            writing = (async () => {
+                while (dirty) {
+                    dirty = false;
+                    await writeFileAtomic(filePath, serialize());
+                }
+            })().finally(() => {
+                writing = null;
+            });
+        }
+        return writing;
+    }
+
+    // 从磁盘读取数据，旧格式（纯数组）会自动迁移为新格式
+    async function load() {
+        let raw;
+        try {
+            raw = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            items = [];
+            await persist();
+            return items;
+        }
+
+        const data = raw.trim() ? JSON.parse(raw) : [];
+
+        if (Array.isArray(data)) {
+            items = data;
+            console.log(`Migrating ${path.basename(filePath)} to storage format v${STORAGE_VERSION}`);
+            await persist();
+        } else if (data && Array.isArray(data[key])) {
+            if (data.version > STORAGE_VERSION) {
+                throw new Error(`${path.basename(filePath)} was written by a newer version (v${data.version})`);
+            }
+            items = data[key];
+        } else {
+            throw new Error(`${path.basename(filePath)} has an unknown format`);
+        }
+
+        return items;
+    }
+
+    // 获取内存中的数据
+    function get() {
+        return items;
+    }
+
+    // 替换全部数据并保存
+    function save(newItems = items) {
+        items = newItems;
+        return persist();
+    }
+
+    // 基于当前数据计算新数据并保存，fn 需返回新的数组
+    function update(fn) {
+        items = fn(items);
+        return persist();
+    }
+
+    // 等待所有未完成的写入
+    function flush() {
+        return writing || Promise.resolve();
+    }
+
+    return { load, get, save, update, flush };
+}
+
+/**
+ * 创建存储层，统一管理图鉴条目、IP操作频率记录、操作日志、点赞、举报、回收站记录、变更序列和镜像同步状态
+ * @param {Object} options - 存储选项
+ * @param {string} options.dataFile - 图鉴条目文件
+ * @param {string} options.ipOperationsFile - IP操作频率记录文件
+ * @param {string} options.operationLogFile - 操作日志文件
+ * @param {string} options.likesFile - 点赞记录文件
+ * @param {string} options.reportsFile - 举报记录文件
+ * @param {string} options.trashFile - 回收站记录文件
+ * @param {string} options.changesFile - 条目变更序列文件
+ * @param {string} options.mirrorFile - 镜像同步状态文件
+ * @returns {Object} - 存储对象
+ */
+function createStorage(options) {
+    const collections = {
+        entries: createJsonCollection(options.dataFile, { key: 'entries', indent: 2 }),
+        rateLimits: createJsonCollection(options.ipOperationsFile, { key: 'records' }),
+        auditLog: createJsonCollection(options.operationLogFile, { key: 'logs' }),
+        likes: createJsonCollection(options.likesFile, { key: 'likes' }),
+        reports: createJsonCollection(options.reportsFile, { key: 'reports' }),
+        trash: createJsonCollection(options.trashFile, { key: 'items' }),
+        changes: createJsonCollection(options.changesFile, { key: 'changes' }),
+        mirror: createJsonCollection(options.mirrorFile, { key: 'upstreams' })
+    };
+
+    // 读取所有数据文件（必要时迁移旧格式）
+    async function init() {
+        for (const collection of Object.values(collections)) {
+            await collection.load();
+        }
+    }
+
+    // 等待所有集合写入完成
+    async function flush() {
+        await Promise.all(Object.values(collections).map(collection => collection.flush()));
+    }
+
+    return {
+        init,
+        flush,
+        ...collections
+    };
+}
+
+module.exports = { createStorage, writeFileAtomic };
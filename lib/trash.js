@@ -0,0 +1,143 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { listImageFiles } = require('./images');
+
+// 回收站记录类型：被删除的条目、被替换掉的图片
+const TRASH_ENTRY = 'entry';
+const TRASH_IMAGE = 'image';
+
+// 判断文件是否存在
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 创建回收站：被删除的条目和被替换的图片先移入回收站目录，保留期过后才彻底删除
+ * @param {Object} options - 回收站选项
+ * @param {Object} options.collection - 保存回收站记录的 JSON 集合
+ * @param {string} options.imagesDir - 图片目录
+ * @param {string} options.trashDir - 回收站图片目录
+ * @param {number} options.retentionDays - 保留天数
+ * @returns {Object} - 包含 add / get / list / restore / filesAvailable / purge / getExpired 的回收站对象
+ */
+function createTrash(options) {
+    const { collection, imagesDir, trashDir, retentionDays } = options;
+
+    // 在目录之间移动图片文件，源文件不存在时跳过
+    async function moveFiles(files, fromDir, toDir) {
+        await fs.mkdir(toDir, { recursive: true });
+        for (const file of files) {
+            try {
+                await fs.rename(path.join(fromDir, file), path.join(toDir, file));
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.error('Error moving image:', error);
+            }
+        }
+    }
+
+    // 回收站记录是否对应给定条目（同一条目，或同一张图片）
+    function matches(item, bird) {
+        if (item.type === TRASH_ENTRY && item.birdId === bird.id) return true;
+        return Boolean(bird.imageUrl) && item.bird.imageUrl === bird.imageUrl;
+    }
+
+    /**
+     * 将条目（或其被替换的图片）移入回收站
+     * @param {string} type - TRASH_ENTRY / TRASH_IMAGE
+     * @param {Object} bird - 条目当时的完整状态
+     * @param {Object} [meta] - 附加信息
+     * @param {string|null} [meta.deletedBy] - 操作的管理员
+     * @param {Array<string>} [meta.keepFiles] - 仍在使用、不移动的图片文件
+     * @returns {Promise<Object>} - 新的回收站记录
+     */
+    async function add(type, bird, meta = {}) {
+        const { deletedBy = null, keepFiles = [] } = meta;
+        const now = new Date();
+        const item = {
+            id: crypto.randomUUID(),
+            type: type,
+            birdId: bird.id,
+            bird: structuredClone(bird),
+            deletedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString(),
+            deletedBy: deletedBy
+        };
+
+        await moveFiles(listImageFiles(bird).filter(file => !keepFiles.includes(file)), imagesDir, trashDir);
+        await collection.update(items => [...items, item]);
+        return item;
+    }
+
+    // 按ID获取回收站记录
+    function get(id) {
+        return collection.get().find(item => item.id === id) || null;
+    }
+
+    // 获取全部回收站记录（从新到旧）
+    function list() {
+        return [...collection.get()].reverse();
+    }
+
+    /**
+     * 取回条目的图片：从回收站目录移回图片目录，并移除对应的回收站记录
+     * @param {Object} bird - 要恢复的条目状态
+     */
+    async function restore(bird) {
+        await moveFiles(listImageFiles(bird), trashDir, imagesDir);
+        await collection.update(items => items.filter(item => !matches(item, bird)));
+    }
+
+    /**
+     * 检查条目的图片是否仍可恢复（位于图片目录或回收站中）
+     * @param {Object} bird - 条目状态
+     * @returns {Promise<boolean>}
+     */
+    async function filesAvailable(bird) {
+        for (const file of listImageFiles(bird)) {
+            const exists = await fileExists(path.join(imagesDir, file)) || await fileExists(path.join(trashDir, file));
+            if (!exists) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 彻底删除回收站记录及其图片
+     * @param {Array<string>} ids - 回收站记录ID
+     * @returns {Promise<Array<Object>>} - 被删除的记录
+     */
+    async function purge(ids) {
+        const purged = collection.get().filter(item => ids.includes(item.id));
+
+        for (const item of purged) {
+            for (const file of listImageFiles(item.bird)) {
+                try {
+                    await fs.unlink(path.join(trashDir, file));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') console.error('Error deleting image:', error);
+                }
+            }
+        }
+
+        await collection.update(items => items.filter(item => !ids.includes(item.id)));
+        return purged;
+    }
+
+    // 获取已超过保留期的记录
+    function getExpired(now = new Date()) {
+        return collection.get().filter(item => new Date(item.expiresAt) <= now);
+    }
+
+    return { add, get, list, restore, filesAvailable, purge, getExpired };
+}
+
+module.exports = {
+    createTrash,
+    TRASH_ENTRY,
+    TRASH_IMAGE
+};
@@ -0,0 +1,159 @@
+/**
+ * 界面文字的多语言支持：各语言的文案由 locales/ 下的脚本通过 registerLocale 注册，
+ * 页面中的静态文字用 data-i18n 系列属性标注，脚本中的文字通过 t() 获取
+ */
+
+// 支持的语言（代码 → 在语言切换菜单中显示的名称），第一个为默认语言
+const SUPPORTED_LOCALES = { 'zh-CN': '中文', en: 'English' };
+const DEFAULT_LOCALE = 'zh-CN';
+const LOCALE_STORAGE_KEY = 'locale';
+
+// 已注册的文案：语言代码 → 文案对象
+const LOCALE_MESSAGES = {};
+
+/**
+ * 注册一种语言的文案
+ * @param {string} locale - 语言代码
+ * @param {Object} messages - 文案，按模块嵌套，如 { quiz: { title: '...' } }
+ */
+function registerLocale(locale, messages) {
+    LOCALE_MESSAGES[locale] = messages;
+}
+
+/**
+ * 将语言标签匹配到支持的语言：先完整匹配，再按主语言匹配（如 en-US → en，zh-TW → zh-CN）
+ * @param {string} tag - 语言标签
+ * @returns {string|null} - 支持的语言代码，无法匹配时为 null
+ */
+function matchLocale(tag) {
+    if (!tag) return null;
+    const locales = Object.keys(SUPPORTED_LOCALES);
+    const exact = locales.find(locale => locale.toLowerCase() === tag.toLowerCase());
+    if (exact) return exact;
+
+    const language = tag.split('-')[0].toLowerCase();
+    return locales.find(locale => locale.split('-')[0].toLowerCase() === language) || null;
+}
+
+// 当前语言：地址中的 ?lang= 与用户选择过的语言优先，其次按浏览器的语言偏好，都不支持时使用默认语言
+function detectLocale() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        // 禁用存储时忽略
+    }
+
+    const preferred = [requested, saved, ...(navigator.languages || [navigator.language])];
+    for (const tag of preferred) {
+        const locale = matchLocale(tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+const currentLocale = detectLocale();
+
+// 按点分隔的键读取文案
+function lookupMessage(locale, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), LOCALE_MESSAGES[locale]);
+}
+
+/**
+ * 按当前语言格式化数字（千位分隔符等）
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return new Intl.NumberFormat(currentLocale).format(value);
+}
+
+/**
+ * 按当前语言格式化日期时间
+ * @param {string|number|Date} value
+ * @returns {string}
+ */
+function formatDateTime(value) {
+    return new Date(value).toLocaleString(currentLocale);
+}
+
+/**
+ * 按当前语言把多项连接成列表，如 ['a', 'b', 'c'] →“a、b和c”/“a, b, and c”
+ * @param {Array<string>} items
+ * @returns {string}
+ */
+function formatList(items) {
+    return new Intl.ListFormat(currentLocale, { type: 'conjunction' }).format(items.map(String));
+}
+
+/**
+ * 获取当前语言的文案，当前语言缺少的文案使用默认语言
+ * 文案中的 {name} 替换为 params 中的同名参数，数字参数按当前语言格式化；
+ * 文案为 { one, other } 形式时按 params.count 选择单复数
+ * @param {string} key - 文案键，如 'quiz.title'
+ * @param {Object} [params] - 插入文案的参数
+ * @param {string} [fallback] - 两种语言都没有这条文案时的返回值，默认返回键本身
+ * @returns {string}
+ */
+function t(key, params, fallback) {
+    let message = lookupMessage(currentLocale, key);
+    if (message === undefined) message = lookupMessage(DEFAULT_LOCALE, key);
+
+    if (message && typeof message === 'object' && typeof message.other === 'string') {
+        const count = params && typeof params.count === 'number' ? params.count : 0;
+        const category = new Intl.PluralRules(currentLocale).select(count);
+        message = message[category] || message.other;
+    }
+    if (typeof message !== 'string') return fallback === undefined ? key : fallback;
+    if (!params) return message;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * 翻译页面中标注的静态文字：data-i18n 替换文字内容，
+ * data-i18n-placeholder / data-i18n-title / data-i18n-alt / data-i18n-value 替换对应的属性
+ * @param {ParentNode} [root] - 要翻译的范围，默认为整个页面
+ */
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLocale;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ['placeholder', 'title', 'alt', 'value'].forEach(attribute => {
+        const dataAttribute = `i18n${attribute[0].toUpperCase()}${attribute.slice(1)}`;
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element[attribute] = t(element.dataset[dataAttribute]);
+        });
+    });
+}
+
+/**
+ * 切换语言：保存选择后重新加载页面，已渲染的内容全部按新语言生成
+ * 无法保存（如禁用了存储）时通过地址中的 ?lang= 切换本次浏览的语言
+ * @param {string} locale - 语言代码
+ */
+function setLocale(locale) {
+    if (!SUPPORTED_LOCALES[locale] || locale === currentLocale) return;
+
+    let saved = true;
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        saved = false;
+    }
+
+    const url = new URL(window.location.href);
+    if (saved) {
+        url.searchParams.delete('lang');
+    } else {
+        url.searchParams.set('lang', locale);
+    }
+    window.location.replace(url);
+}
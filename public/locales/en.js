@@ -0,0 +1,498 @@
+// English
+// 文案为 { one, other } 时按参数 count 选择单复数
+
+registerLocale('en', {
+    // 站点
+    site: {
+        heading: 'Common Bird ID Guide'
+    },
+
+    // 通用
+    common: {
+        back: 'Back',
+        cancel: 'Cancel',
+        save: 'Save',
+        submit: 'Submit',
+        close: 'Close',
+        loading: 'Loading...',
+        copyPrompt: 'Copy the text below',
+        failed: 'Operation failed',
+        clauseSeparator: ', '
+    },
+
+    // 语言切换
+    locale: {
+        label: 'Language'
+    },
+
+    // 导航栏
+    nav: {
+        review: 'Review',
+        duplicates: 'Duplicates',
+        reports: 'Reports',
+        audit: 'Log',
+        trash: 'Trash',
+        backup: 'Backup',
+        add: 'Add'
+    },
+
+    // 统计
+    stats: {
+        browseSpecies: 'Browse by name',
+        collected: 'Collected',
+        species: 'birds',
+        images: 'images',
+        quizFind: 'Spot the',
+        quizHeron: 'night heron',
+        quiz: 'quiz'
+    },
+
+    // 搜索与排序
+    search: {
+        placeholder: 'Search by name, pinyin or initials...',
+        sort: {
+            default: 'Default order',
+            newest: 'Newest',
+            oldest: 'Oldest',
+            likes: 'Most liked',
+            random: 'Random'
+        },
+        tagFilter: 'Filtered by tag:'
+    },
+
+    // 图鉴列表
+    gallery: {
+        loading: 'Loading birds...',
+        loadMore: 'Load more',
+        noMatch: 'No matching birds found',
+        noMore: 'No more entries',
+        fromCache: 'Showing cached data, content may be out of date',
+        loadFailed: 'Could not load data, please check your network connection',
+        retry: 'Retry',
+        refreshCache: 'Refresh cached data',
+        cacheHint: 'You are viewing cached data, click the button above to refresh',
+        refreshing: 'Refreshing...',
+        end: 'That is everything',
+        loadMoreFailed: 'Could not load more birds',
+        countFailed: 'Could not load the bird count'
+    },
+
+    // 按种类浏览
+    species: {
+        all: 'All names',
+        speciesCount: { one: '{count} name', other: '{count} names' },
+        loadFailed: 'Could not load the list of names',
+        notFound: 'No such name found',
+        imageCount: { one: '{count} image', other: '{count} images' },
+        detailLoadFailed: 'Could not load this name',
+        cardCount: { one: '{count} image', other: '{count} images' }
+    },
+
+    // 详情
+    detail: {
+        copyLink: 'Copy link',
+        notFoundTitle: 'Image not found',
+        notFound: 'This image could not be found. It may have been deleted.',
+        loadFailed: 'Could not load this image',
+        linkCopied: 'Link copied',
+        deleted: 'This image has been deleted'
+    },
+
+    // 图鉴卡片
+    card: {
+        sameName: 'See all images with this name',
+        aliases: 'Also known as: {aliases}',
+        source: 'Source: {source}',
+        like: 'Like',
+        report: 'Report',
+        viewDetail: 'View details',
+        likeTooFast: 'Too many likes, please try again later',
+        likeFailed: 'Could not like this image',
+        origin: 'Collected from',
+        confirmDelete: 'Delete this bird?',
+        deleted: 'Bird moved to the trash',
+        deleteFailed: 'Could not delete the bird'
+    },
+
+    // 找出真夜鹭测验
+    quiz: {
+        title: 'Spot the Night Heron',
+        score: 'Score',
+        streak: 'Streak',
+        resultTitle: 'Spot the Night Heron · Results',
+        share: 'Share challenge',
+        again: 'Play again',
+        loading: 'Preparing questions...',
+        loadFailed: 'Could not create a quiz, please try again later',
+        progress: 'Question {index} / {total}',
+        nameQuestion: 'What is this image called in the guide?',
+        questionImage: 'Question image',
+        imageQuestion: 'Which one is called “{name}” in the guide?',
+        option: 'Option {index}',
+        answerFailed: 'Could not submit the answer',
+        restarted: 'The guide has changed, so a new quiz has started',
+        correct: 'Correct!',
+        wrong: 'Wrong',
+        answer: 'Answer: ',
+        showResult: 'See results',
+        next: 'Next question',
+        comments: {
+            perfect: 'Eagle-eyed! Not a single night heron fooled you',
+            good: 'Night heron mimicry barely works on you',
+            fair: 'Sometimes even you cannot tell which one is the night heron',
+            fooled: 'The night herons have completely fooled you'
+        },
+        bestStreak: { one: 'Best streak: {count} question', other: 'Best streak: {count} questions' },
+        shareText: 'I got {score}/{total} right in the Spot the Night Heron quiz on “{title}”, with a best streak of {streak}! Try the same questions: ',
+        linkCopied: 'Challenge link copied'
+    },
+
+    // 上传与编辑
+    form: {
+        addTitle: 'Upload a night heron mimic',
+        nameLabel: 'Name (up to {limit} characters)',
+        namePlaceholder: 'Enter the bird name',
+        aliasesLabel: 'Aliases (optional, comma separated)',
+        aliasesPlaceholder: 'e.g. night heron, grey heron',
+        descriptionLabel: 'Description (optional, up to {limit} characters)',
+        descriptionPlaceholder: 'A one-line caption or where the meme comes from',
+        sourceLabel: 'Source (optional)',
+        sourcePlaceholder: 'Author or source',
+        tagsLabel: 'Tags (optional, comma separated)',
+        tagsPlaceholder: 'e.g. anime, games',
+        imageLabel: 'Image (the more compressed, the better)',
+        imageDrop: 'Click or drop an image here to upload',
+        imageHint: 'JPG, PNG, GIF and WebP are supported, up to {size}',
+        preview: 'Preview',
+        removeImage: 'Remove image',
+        editTitle: 'Edit bird',
+        loadFailed: 'Could not load the bird',
+        nameRequired: 'Please enter a bird name',
+        nameTooLong: 'The bird name cannot be longer than {limit} characters',
+        imageTooLarge: 'The image cannot be larger than {size}'
+    },
+
+    // 上传结果与离线队列
+    upload: {
+        queued: 'You are offline. The upload has been saved and will be submitted once you are back online',
+        queueFailed: 'Could not save the upload offline, please try again when online',
+        queueSent: { one: 'Submitted {count} image saved while offline', other: 'Submitted {count} images saved while offline' },
+        quotedName: '“{name}”',
+        queueFailedItems: '{names}, saved while offline, could not be uploaded (possibly a duplicate). Please upload again',
+        pending: 'Uploaded! It will appear once an admin approves it',
+        updated: 'Bird updated',
+        created: 'Bird added',
+        confirmDuplicate: 'The guide already has a very similar image, “{name}”. Upload anyway?'
+    },
+
+    // 审核
+    review: {
+        title: 'Pending uploads',
+        selectAll: 'Select all',
+        rename: 'Save names',
+        reject: 'Reject',
+        approve: 'Approve',
+        empty: 'No pending uploads',
+        duplicateOf: 'Possible duplicate of #{id}',
+        selectFirst: 'Select some entries first',
+        confirmReject: { one: 'Reject and delete this upload?', other: 'Reject and delete these {count} uploads?' },
+        approved: 'Approved',
+        rejected: 'Uploads rejected',
+        invalidName: 'Names cannot be empty or longer than {limit} characters',
+        renamed: 'Names saved'
+    },
+
+    // 查重
+    duplicates: {
+        title: 'Duplicate images',
+        scanning: 'Scanning...',
+        empty: 'No duplicate images found',
+        keep: 'Keep this one',
+        confirmMerge: { one: 'Keep “{name}” and delete the other image?', other: 'Keep “{name}” and delete the other {count} images?' },
+        merged: 'Duplicates merged'
+    },
+
+    // 举报处理
+    reports: {
+        title: 'User reports',
+        empty: 'No open reports',
+        autoHidden: ' (hidden automatically)',
+        reasons: {
+            offensive: 'Offensive',
+            wrong: 'Wrong information',
+            duplicate: 'Duplicate',
+            other: 'Other'
+        },
+        note: ': {note}',
+        dismiss: 'Dismiss',
+        delete: 'Delete entry',
+        dismissed: 'Reports dismissed',
+        confirmDelete: 'Delete “{name}”?',
+        deleted: 'Entry deleted'
+    },
+
+    // 举报表单
+    report: {
+        title: 'Report',
+        reasons: {
+            offensive: 'Offensive content',
+            wrong: 'Wrong name or information',
+            duplicate: 'Duplicate image',
+            other: 'Other'
+        },
+        note: 'Additional notes (optional)',
+        failed: 'Could not send the report',
+        thanks: 'Thanks for the feedback, an admin will look at it soon'
+    },
+
+    // 操作日志
+    audit: {
+        title: 'Operation log',
+        route: 'Route',
+        routePlaceholder: 'e.g. DELETE /api/birds',
+        from: 'From',
+        to: 'To',
+        filter: 'Filter',
+        prev: 'Previous',
+        next: 'Next',
+        pageInfo: 'Page {page} · {total} total',
+        empty: 'No matching records',
+        changes: {
+            created: 'Added “{name}” #{id}',
+            deleted: 'Deleted “{name}” #{id}',
+            renamed: 'Changed #{id}: “{from}” → “{to}”',
+            updated: 'Changed “{name}” #{id}'
+        },
+        revertedAt: 'Reverted at {time}',
+        revert: 'Revert',
+        confirmRevert: 'Revert “{operation}”?',
+        reverted: 'Operation reverted',
+        confirmForce: 'Entries {ids} have been changed since then. Revert anyway and overwrite those changes?'
+    },
+
+    // 回收站
+    trash: {
+        empty: 'Empty trash',
+        retention: { one: 'Deleted content is kept for {count} day and then removed permanently', other: 'Deleted content is kept for {count} days and then removed permanently' },
+        isEmpty: 'The trash is empty',
+        imageFailed: 'Could not load the image',
+        replacedImage: 'Replaced image',
+        deletedEntry: 'Deleted entry',
+        daysLeft: { one: 'removed permanently in {count} day', other: 'removed permanently in {count} days' },
+        restore: 'Restore',
+        purge: 'Delete permanently',
+        restored: 'Restored',
+        confirmPurge: '“{name}” cannot be recovered after it is permanently deleted. Continue?',
+        purged: 'Deleted permanently',
+        confirmEmpty: 'Empty the trash? Nothing in it can be recovered.',
+        emptied: 'Trash emptied'
+    },
+
+    // 导出图片
+    export: {
+        title: 'Export images',
+        scope: 'Scope',
+        scopeAll: 'All images',
+        scopeFilter: 'Current search results',
+        scopePicked: 'Pick by hand',
+        picked: 'Picked',
+        pick: 'Pick',
+        columns: 'Columns',
+        format: 'Format',
+        pdf: 'PDF (multiple pages)',
+        titleLabel: 'Title',
+        watermark: 'Site URL watermark',
+        qr: 'QR code to this site',
+        submit: 'Export',
+        pickHint: ', click images to pick or unpick them',
+        pickClear: 'Clear',
+        pickDone: 'Done',
+        pickedUnit: '',
+        filterQuery: '“{query}”',
+        filterTag: 'tag #{tag}',
+        scopeFilterWith: 'Current search results ({filter})',
+        scopeFilterNone: 'Current search results (no search)',
+        pickFirst: 'Pick the images to export first',
+        preparing: 'Preparing...',
+        nothing: 'There are no images to export',
+        generatingPdf: 'Generating a {pages}-page PDF...',
+        downloadingPdf: 'Downloading PDF...',
+        generatingPage: 'Generating image {page}/{pages}...',
+        done: 'Export complete',
+        exported: { one: 'Exported {count} image', other: 'Exported {count} images' },
+        failed: 'Could not generate the image',
+        tooFrequent: 'Too many exports, please try again later'
+    },
+
+    // 备份
+    backup: {
+        title: 'Backup and sync',
+        export: 'Export',
+        exportHint: 'Download an archive (.tar.gz) with all entries and images',
+        exportButton: 'Export archive',
+        import: 'Import',
+        merge: 'Merge: keep existing entries and skip duplicates',
+        replace: 'Replace: move existing entries to the trash',
+        importButton: 'Import archive',
+        mirror: 'Mirror sync',
+        syncNow: 'Sync now',
+        exportFailed: 'Export failed',
+        confirmReplace: 'Replace mode moves all existing entries to the trash. Continue?',
+        importing: 'Importing...',
+        importFailed: 'Import failed',
+        imported: { one: 'Imported {count} entry', other: 'Imported {count} entries' },
+        skipped: { one: 'skipped {count} duplicate', other: 'skipped {count} duplicates' },
+        renumbered: { one: '{count} entry got a new ID because of an ID conflict', other: '{count} entries got new IDs because of ID conflicts' },
+        removed: { one: '{count} existing entry moved to the trash', other: '{count} existing entries moved to the trash' },
+        importDone: 'Import complete'
+    },
+
+    // 镜像同步
+    mirror: {
+        noUpstreams: 'No upstream sites configured (setting mirror.upstreams)',
+        failed: 'Sync failed: {error}',
+        synced: 'Synced {time}: {added} added, {updated} updated, {removed} removed',
+        never: 'Not synced yet',
+        interval: { one: 'Syncs automatically every minute', other: 'Syncs automatically every {count} minutes' },
+        syncing: ' (syncing)',
+        done: { one: 'Sync complete, {count} entry added', other: 'Sync complete, {count} entries added' }
+    },
+
+    // 关于
+    about: {
+        button: 'About',
+        title: 'About “{title}”',
+        origin: 'This site grew out of the “night heron mimicry guide” meme. Images come from various communities and user uploads.',
+        rule: 'Simply put: everything named “night heron” here is not a night heron, and everything else is.',
+        invite: 'We look forward to your uploads!',
+        contact: 'Click here to contact the developer'
+    },
+
+    // 管理员
+    admin: {
+        login: 'Admin login',
+        username: 'Username',
+        password: 'Password',
+        loginButton: 'Log in',
+        loginFailed: 'Login failed',
+        loggedOut: 'Logged out of admin mode',
+        logout: 'Leave admin mode',
+        loggedIn: 'Switched to admin mode'
+    },
+
+    // 操作次数
+    quota: {
+        loadFailed: 'Could not check the remaining quota',
+        remaining: 'Remaining {operation} quota: {remaining}/{limit}'
+    },
+
+    // 时长
+    duration: {
+        hours: { one: '{count} hour', other: '{count} hours' },
+        minutes: { one: '{count} minute', other: '{count} minutes' },
+        seconds: { one: '{count} second', other: '{count} seconds' }
+    },
+
+    // 操作名称
+    operations: {
+        create: 'upload',
+        edit: 'edit',
+        delete: 'delete',
+        report: 'report',
+        default: 'operation'
+    },
+
+    // 操作描述（记录在操作日志中）
+    operationDescs: {
+        create: 'Add bird: {name}',
+        update: 'Update bird: {name}',
+        unnamed: 'untitled',
+        delete: 'Delete bird: ID#{id}',
+        offline: '{operation} (offline upload)',
+        report: 'Report: ID#{id}',
+        approve: { one: 'Approve {count} entry', other: 'Approve {count} entries' },
+        reject: { one: 'Reject {count} entry', other: 'Reject {count} entries' },
+        rename: { one: 'Rename {count} pending entry', other: 'Rename {count} pending entries' },
+        mergeDuplicates: 'Merge duplicate images: keep ID#{id}',
+        dismissReports: 'Dismiss reports: ID#{id}',
+        deleteReported: 'Delete reported entry: ID#{id}',
+        revert: 'Revert: {operation}',
+        restoreTrash: 'Restore from trash: ID#{id}',
+        purgeTrash: 'Delete permanently: ID#{id}',
+        emptyTrash: 'Empty trash',
+        importMerge: 'Import archive (merge): {file}',
+        importReplace: 'Import archive (replace): {file}',
+        mirrorSync: 'Mirror sync'
+    },
+
+    // 校验失败时显示的字段名称
+    fields: {
+        name: 'Name',
+        description: 'Description',
+        source: 'Source',
+        tags: 'Tags',
+        aliases: 'Aliases',
+        note: 'Notes',
+        reason: 'Reason',
+        username: 'Username',
+        password: 'Password',
+        ids: 'Entries',
+        title: 'Title',
+        subtitle: 'Subtitle',
+        image: 'Image'
+    },
+
+    // 校验失败的提示
+    validation: {
+        item: 'Each item in {name}',
+        required: '{name} is required',
+        minLength: '{subject} cannot be empty',
+        maxLength: { one: '{subject} cannot be longer than {limit} character', other: '{subject} cannot be longer than {limit} characters' },
+        minItems: { one: '{name} needs at least {limit} item', other: '{name} needs at least {limit} items' },
+        maxItems: { one: '{name} can have at most {limit} item', other: '{name} can have at most {limit} items' },
+        minimum: '{subject} cannot be less than {limit}',
+        maximum: '{subject} cannot be greater than {limit}',
+        namePattern: 'Name cannot be empty',
+        enum: '{subject} has an invalid value',
+        invalid: '{subject} has an invalid format',
+        separator: '; '
+    },
+
+    // 接口错误码对应的提示
+    errors: {
+        VALIDATION_FAILED: 'Some of the submitted content is invalid',
+        INVALID_JSON: 'Malformed request',
+        PAYLOAD_TOO_LARGE: 'The submitted content is too large',
+        ROUTE_NOT_FOUND: 'API route not found',
+        UNAUTHORIZED: 'Your admin session has expired, please log in again',
+        INVALID_CREDENTIALS: 'Wrong username or password',
+        LOGIN_DISABLED: 'Admin login is not enabled on this site',
+        RATE_LIMITED: 'Too many requests, please try again in {duration}',
+        LOGIN_RATE_LIMITED: 'Too many login attempts, please try again in {duration}',
+        OPERATION_LIMIT_EXCEEDED: 'You have reached the {operation} limit ({limit}), please try again in {duration}',
+        BIRD_NOT_FOUND: 'This entry does not exist or has been deleted',
+        SPECIES_NOT_FOUND: 'No entries with this name',
+        LOG_NOT_FOUND: 'Log entry not found',
+        TRASH_ITEM_NOT_FOUND: 'This item is not in the trash',
+        IMAGE_NOT_FOUND: 'Image not found',
+        IMAGE_TOO_LARGE: 'The image cannot be larger than {size}',
+        UNSUPPORTED_IMAGE: 'Unsupported image format, please upload a JPG, PNG, GIF or WebP image',
+        CORRUPTED_IMAGE: 'The image file is corrupted and cannot be read',
+        UPLOAD_FAILED: 'Image upload failed',
+        DUPLICATE_IMAGE: 'The guide already has a similar image',
+        ALREADY_REPORTED: 'You have already reported this image',
+        PAGE_OUT_OF_RANGE: 'Page number out of range',
+        NOT_REVERTIBLE: 'This operation cannot be reverted',
+        ALREADY_REVERTED: 'This operation has already been reverted',
+        REVERT_CONFLICT: 'Related entries have been changed since then',
+        IMAGES_UNAVAILABLE: 'The images have been deleted permanently and cannot be restored',
+        ID_CONFLICT: 'Cannot restore: an entry with the same ID already exists',
+        ENTRY_GONE: 'Cannot restore: the original entry no longer exists',
+        INVALID_ARCHIVE: 'Import failed: invalid archive ({detail})',
+        NO_UPSTREAMS: 'No upstream sites configured',
+        QUIZ_NOT_ENOUGH_NAMES: 'There are not enough different names in the guide for a quiz yet',
+        QUIZ_CHANGED: 'The guide has changed, please start again',
+        TOO_MANY_STREAMS: 'Too many connections, please try again later',
+        INTERNAL_ERROR: 'Something went wrong on the server, please try again later'
+    }
+});
@@ -0,0 +1,498 @@
+// 简体中文（默认语言）：其它语言缺少的文案使用这里的文字
+// 文案中的 {name} 为参数，由 t() 替换
+
+registerLocale('zh-CN', {
+    // 站点
+    site: {
+        heading: '常见鸟类辨识图鉴'
+    },
+
+    // 通用
+    common: {
+        back: '返回',
+        cancel: '取消',
+        save: '保存',
+        submit: '提交',
+        close: '关闭',
+        loading: '加载中...',
+        copyPrompt: '请复制以下内容',
+        failed: '操作失败',
+        clauseSeparator: '，'
+    },
+
+    // 语言切换
+    locale: {
+        label: '语言'
+    },
+
+    // 导航栏
+    nav: {
+        review: '审核',
+        duplicates: '查重',
+        reports: '举报',
+        audit: '日志',
+        trash: '回收站',
+        backup: '备份',
+        add: '添加'
+    },
+
+    // 统计
+    stats: {
+        browseSpecies: '按种类浏览',
+        collected: '已收录',
+        species: '鸟类',
+        images: '图片',
+        quizFind: '找出',
+        quizHeron: '真夜鹭',
+        quiz: '测验'
+    },
+
+    // 搜索与排序
+    search: {
+        placeholder: '搜索鸟类名称、拼音或首字母...',
+        sort: {
+            default: '默认排序',
+            newest: '最新',
+            oldest: '最早',
+            likes: '最多赞',
+            random: '随机'
+        },
+        tagFilter: '按标签筛选：'
+    },
+
+    // 图鉴列表
+    gallery: {
+        loading: '加载鸟类数据中...',
+        loadMore: '加载更多',
+        noMatch: '没有找到匹配的鸟类',
+        noMore: '没有更多数据了',
+        fromCache: '使用缓存数据，内容可能不是最新的',
+        loadFailed: '无法加载数据，请检查网络连接',
+        retry: '重试',
+        refreshCache: '刷新缓存数据',
+        cacheHint: '您正在查看缓存数据，点击上方按钮刷新',
+        refreshing: '刷新中...',
+        end: '到底了',
+        loadMoreFailed: '加载更多鸟类失败',
+        countFailed: '获取鸟类数量失败'
+    },
+
+    // 按种类浏览
+    species: {
+        all: '全部种类',
+        speciesCount: '共 {count} 种',
+        loadFailed: '无法加载种类列表',
+        notFound: '没有找到这个种类',
+        imageCount: '共 {count} 张',
+        detailLoadFailed: '无法加载该种类',
+        cardCount: '{count} 张'
+    },
+
+    // 详情
+    detail: {
+        copyLink: '复制链接',
+        notFoundTitle: '没有找到这张图片',
+        notFound: '没有找到这张图片，可能已被删除',
+        loadFailed: '无法加载这张图片',
+        linkCopied: '链接已复制',
+        deleted: '这张图片已被删除'
+    },
+
+    // 图鉴卡片
+    card: {
+        sameName: '查看同名的全部图片',
+        aliases: '别名：{aliases}',
+        source: '来源：{source}',
+        like: '点赞',
+        report: '举报',
+        viewDetail: '查看详情',
+        likeTooFast: '点赞太频繁了，请稍后再试',
+        likeFailed: '点赞失败',
+        origin: '收录自',
+        confirmDelete: '确定要删除这个鸟类吗？',
+        deleted: '鸟类已移入回收站',
+        deleteFailed: '删除鸟类失败'
+    },
+
+    // 找出真夜鹭测验
+    quiz: {
+        title: '找出真夜鹭',
+        score: '得分',
+        streak: '连对',
+        resultTitle: '找出真夜鹭 · 测验结果',
+        share: '分享挑战',
+        again: '再来一局',
+        loading: '出题中...',
+        loadFailed: '无法生成测验，请稍后再试',
+        progress: '第 {index} / {total} 题',
+        nameQuestion: '这张图在图鉴里叫什么？',
+        questionImage: '题目图片',
+        imageQuestion: '哪一张在图鉴里叫「{name}」？',
+        option: '选项 {index}',
+        answerFailed: '提交答案失败',
+        restarted: '图鉴内容有变化，已重新出题',
+        correct: '答对了！',
+        wrong: '答错了',
+        answer: '正确答案：',
+        showResult: '查看结果',
+        next: '下一题',
+        comments: {
+            perfect: '火眼金睛，没有一只夜鹭能骗过你',
+            good: '夜鹭的拟态对你基本无效',
+            fair: '有时候你也分不清谁才是夜鹭',
+            fooled: '你已经被夜鹭彻底骗过了'
+        },
+        bestStreak: '最高连对 {count} 题',
+        shareText: '我在「{title}」的找出真夜鹭测验中答对了 {score}/{total} 题，最高连对 {streak} 题！来挑战同一套题：',
+        linkCopied: '挑战链接已复制'
+    },
+
+    // 上传与编辑
+    form: {
+        addTitle: '上传夜鹭拟态图鉴',
+        nameLabel: '名称（{limit}个字以内）',
+        namePlaceholder: '输入鸟类名称',
+        aliasesLabel: '别名（选填，用逗号分隔）',
+        aliasesPlaceholder: '例如：夜鹭,灰鹭',
+        descriptionLabel: '说明（选填，{limit}字以内）',
+        descriptionPlaceholder: '一句话配文或梗的出处',
+        sourceLabel: '来源（选填）',
+        sourcePlaceholder: '作者或出处',
+        tagsLabel: '标签（选填，用逗号分隔）',
+        tagsPlaceholder: '例如：动画,游戏',
+        imageLabel: '图片（越包浆越有味）',
+        imageDrop: '点击或拖拽图片到这里上传',
+        imageHint: '支持 JPG, PNG, GIF, WebP 格式，最大 {size}',
+        preview: '预览图',
+        removeImage: '移除图片',
+        editTitle: '编辑鸟类',
+        loadFailed: '获取鸟类数据失败',
+        nameRequired: '请输入鸟类名称',
+        nameTooLong: '鸟类名称不能超过{limit}个字符',
+        imageTooLarge: '图片大小不能超过{size}'
+    },
+
+    // 上传结果与离线队列
+    upload: {
+        queued: '当前处于离线状态，已保存上传，联网后会自动提交',
+        queueFailed: '离线保存失败，请联网后重试',
+        queueSent: '已提交离线时保存的 {count} 张图片',
+        quotedName: '「{name}」',
+        queueFailedItems: '离线保存的{names}未能上传（可能与已有图片重复），请重新上传',
+        pending: '上传成功，等待管理员审核后展示',
+        updated: '鸟类更新成功',
+        created: '鸟类添加成功',
+        confirmDuplicate: '图鉴中已有一张很相似的图片「{name}」，仍要上传吗？'
+    },
+
+    // 审核
+    review: {
+        title: '待审核上传',
+        selectAll: '全选',
+        rename: '保存名称',
+        reject: '拒绝',
+        approve: '通过',
+        empty: '暂无待审核的上传',
+        duplicateOf: '疑似重复 #{id}',
+        selectFirst: '请先勾选条目',
+        confirmReject: '确定要拒绝并删除这 {count} 个上传吗？',
+        approved: '已通过审核',
+        rejected: '已拒绝上传',
+        invalidName: '名称不能为空且不能超过{limit}个字符',
+        renamed: '名称已保存'
+    },
+
+    // 查重
+    duplicates: {
+        title: '重复图片',
+        scanning: '扫描中...',
+        empty: '没有发现重复图片',
+        keep: '保留此张',
+        confirmMerge: '保留「{name}」并删除其余 {count} 张图片？',
+        merged: '已合并重复图片'
+    },
+
+    // 举报处理
+    reports: {
+        title: '用户举报',
+        empty: '暂无待处理的举报',
+        autoHidden: '（已自动隐藏）',
+        reasons: {
+            offensive: '令人不适',
+            wrong: '信息有误',
+            duplicate: '重复图片',
+            other: '其它'
+        },
+        note: '：{note}',
+        dismiss: '忽略',
+        delete: '删除条目',
+        dismissed: '已忽略举报',
+        confirmDelete: '确定要删除「{name}」吗？',
+        deleted: '条目已删除'
+    },
+
+    // 举报表单
+    report: {
+        title: '举报',
+        reasons: {
+            offensive: '令人不适的内容',
+            wrong: '名称或信息有误',
+            duplicate: '重复的图片',
+            other: '其它'
+        },
+        note: '补充说明（可选）',
+        failed: '举报失败',
+        thanks: '感谢反馈，管理员会尽快处理'
+    },
+
+    // 操作日志
+    audit: {
+        title: '操作日志',
+        route: '路由',
+        routePlaceholder: '如 DELETE /api/birds',
+        from: '开始时间',
+        to: '结束时间',
+        filter: '筛选',
+        prev: '上一页',
+        next: '下一页',
+        pageInfo: '第 {page} 页 / 共 {total} 条',
+        empty: '没有符合条件的记录',
+        changes: {
+            created: '新增「{name}」#{id}',
+            deleted: '删除「{name}」#{id}',
+            renamed: '修改 #{id}：「{from}」→「{to}」',
+            updated: '修改「{name}」#{id}'
+        },
+        revertedAt: '已于 {time} 撤销',
+        revert: '撤销',
+        confirmRevert: '确定要撤销「{operation}」吗？',
+        reverted: '已撤销操作',
+        confirmForce: '条目 {ids} 在此之后又被修改过，仍要撤销并覆盖这些修改吗？'
+    },
+
+    // 回收站
+    trash: {
+        empty: '清空回收站',
+        retention: '删除的内容保留 {count} 天，到期后自动彻底删除',
+        isEmpty: '回收站是空的',
+        imageFailed: '图片加载失败',
+        replacedImage: '被替换的图片',
+        deletedEntry: '已删除的条目',
+        daysLeft: '{count} 天后彻底删除',
+        restore: '恢复',
+        purge: '彻底删除',
+        restored: '已恢复',
+        confirmPurge: '彻底删除「{name}」后将无法恢复，确定吗？',
+        purged: '已彻底删除',
+        confirmEmpty: '确定要清空回收站吗？所有内容将无法恢复。',
+        emptied: '回收站已清空'
+    },
+
+    // 导出图片
+    export: {
+        title: '导出图片',
+        scope: '导出范围',
+        scopeAll: '全部图片',
+        scopeFilter: '当前搜索结果',
+        scopePicked: '手动挑选',
+        picked: '已选',
+        pick: '挑选',
+        columns: '列数',
+        format: '格式',
+        pdf: 'PDF（多页）',
+        titleLabel: '标题',
+        watermark: '网址水印',
+        qr: '本站二维码',
+        submit: '导出',
+        pickHint: '，点击图片选择或取消',
+        pickClear: '清空',
+        pickDone: '完成',
+        pickedUnit: '张',
+        filterQuery: '“{query}”',
+        filterTag: '标签 #{tag}',
+        scopeFilterWith: '当前搜索结果（{filter}）',
+        scopeFilterNone: '当前搜索结果（未搜索）',
+        pickFirst: '请先挑选要导出的图片',
+        preparing: '正在准备...',
+        nothing: '没有可以导出的图片',
+        generatingPdf: '正在生成 {pages} 页 PDF...',
+        downloadingPdf: '正在下载 PDF...',
+        generatingPage: '正在生成第 {page}/{pages} 张...',
+        done: '导出完成',
+        exported: '已导出 {count} 张图片',
+        failed: '生成图片失败',
+        tooFrequent: '导出太频繁，请稍后再试'
+    },
+
+    // 备份
+    backup: {
+        title: '备份与同步',
+        export: '导出',
+        exportHint: '下载包含全部条目和图片的归档文件（.tar.gz）',
+        exportButton: '导出归档',
+        import: '导入',
+        merge: '合并：保留现有条目，跳过重复条目',
+        replace: '替换：现有条目移入回收站',
+        importButton: '导入归档',
+        mirror: '镜像同步',
+        syncNow: '立即同步',
+        exportFailed: '导出失败',
+        confirmReplace: '替换模式会将现有的全部条目移入回收站，确定继续吗？',
+        importing: '正在导入...',
+        importFailed: '导入失败',
+        imported: '导入 {count} 条',
+        skipped: '跳过重复 {count} 条',
+        renumbered: '{count} 条因ID冲突分配了新ID',
+        removed: '原有 {count} 条已移入回收站',
+        importDone: '导入完成'
+    },
+
+    // 镜像同步
+    mirror: {
+        noUpstreams: '未配置上游站点（配置项 mirror.upstreams）',
+        failed: '同步失败：{error}',
+        synced: '{time} 同步，新增 {added}、更新 {updated}、移除 {removed}',
+        never: '尚未同步',
+        interval: '每 {count} 分钟自动同步',
+        syncing: '（正在同步）',
+        done: '同步完成，新增 {count} 条'
+    },
+
+    // 关于
+    about: {
+        button: '关于',
+        title: '关于“{title}”',
+        origin: '本网站源于“夜鹭拟态图鉴”梗图，图片来自各大社群与用户上传。',
+        rule: '简单而言，这里名为“夜鹭”的都不是夜鹭，而其它的都是夜鹭。',
+        invite: '期待你的上传！',
+        contact: '另可点击此处联系开发者'
+    },
+
+    // 管理员
+    admin: {
+        login: '管理员登录',
+        username: '用户名',
+        password: '密码',
+        loginButton: '登录',
+        loginFailed: '登录失败',
+        loggedOut: '已退出管理员模式',
+        logout: '退出管理',
+        loggedIn: '已切换到管理员模式'
+    },
+
+    // 操作次数
+    quota: {
+        loadFailed: '查询剩余次数失败',
+        remaining: '剩余{operation}次数：{remaining}/{limit}'
+    },
+
+    // 时长
+    duration: {
+        hours: '{count}小时',
+        minutes: '{count}分钟',
+        seconds: '{count}秒'
+    },
+
+    // 操作名称
+    operations: {
+        create: '上传',
+        edit: '编辑',
+        delete: '删除',
+        report: '举报',
+        default: '操作'
+    },
+
+    // 操作描述（记录在操作日志中）
+    operationDescs: {
+        create: '新增鸟类: {name}',
+        update: '更新鸟类: {name}',
+        unnamed: '未命名',
+        delete: '删除鸟类: ID#{id}',
+        offline: '{operation}（离线上传）',
+        report: '举报: ID#{id}',
+        approve: '审核通过: {count}项',
+        reject: '审核拒绝: {count}项',
+        rename: '审核重命名: {count}项',
+        mergeDuplicates: '合并重复图片: 保留ID#{id}',
+        dismissReports: '忽略举报: ID#{id}',
+        deleteReported: '删除被举报条目: ID#{id}',
+        revert: '撤销操作: {operation}',
+        restoreTrash: '回收站恢复: ID#{id}',
+        purgeTrash: '彻底删除: ID#{id}',
+        emptyTrash: '清空回收站',
+        importMerge: '导入归档(合并): {file}',
+        importReplace: '导入归档(替换): {file}',
+        mirrorSync: '镜像同步'
+    },
+
+    // 校验失败时显示的字段名称
+    fields: {
+        name: '名称',
+        description: '说明',
+        source: '出处',
+        tags: '标签',
+        aliases: '别名',
+        note: '补充说明',
+        reason: '举报原因',
+        username: '用户名',
+        password: '密码',
+        ids: '条目',
+        title: '标题',
+        subtitle: '副标题',
+        image: '图片'
+    },
+
+    // 校验失败的提示
+    validation: {
+        item: '{name}中的每一项',
+        required: '请填写{name}',
+        minLength: '{subject}不能为空',
+        maxLength: '{subject}不能超过{limit}个字',
+        minItems: '至少需要{limit}个{name}',
+        maxItems: '{name}最多{limit}个',
+        minimum: '{subject}不能小于{limit}',
+        maximum: '{subject}不能大于{limit}',
+        namePattern: '名称不能为空',
+        enum: '{subject}的取值无效',
+        invalid: '{subject}格式不正确',
+        separator: '；'
+    },
+
+    // 接口错误码对应的提示
+    errors: {
+        VALIDATION_FAILED: '提交的内容不符合要求',
+        INVALID_JSON: '请求格式错误',
+        PAYLOAD_TOO_LARGE: '提交的内容过大',
+        ROUTE_NOT_FOUND: '接口不存在',
+        UNAUTHORIZED: '管理员登录已失效，请重新登录',
+        INVALID_CREDENTIALS: '用户名或密码错误',
+        LOGIN_DISABLED: '本站未开启管理员登录',
+        RATE_LIMITED: '操作过于频繁，请{duration}后再试',
+        LOGIN_RATE_LIMITED: '登录尝试过于频繁，请{duration}后再试',
+        OPERATION_LIMIT_EXCEEDED: '{operation}次数已达上限（{limit}次），请{duration}后再试',
+        BIRD_NOT_FOUND: '条目不存在或已被删除',
+        SPECIES_NOT_FOUND: '没有找到这个名称的条目',
+        LOG_NOT_FOUND: '操作记录不存在',
+        TRASH_ITEM_NOT_FOUND: '回收站中没有这条记录',
+        IMAGE_NOT_FOUND: '图片不存在',
+        IMAGE_TOO_LARGE: '图片不能超过{size}',
+        UNSUPPORTED_IMAGE: '不支持的图片格式，请上传 JPG、PNG、GIF 或 WebP 图片',
+        CORRUPTED_IMAGE: '图片文件已损坏，无法读取',
+        UPLOAD_FAILED: '图片上传失败',
+        DUPLICATE_IMAGE: '图鉴中已有相似的图片',
+        ALREADY_REPORTED: '你已经举报过这张图片了',
+        PAGE_OUT_OF_RANGE: '页码超出范围',
+        NOT_REVERTIBLE: '这条操作无法撤销',
+        ALREADY_REVERTED: '这条操作已经撤销过了',
+        REVERT_CONFLICT: '相关条目在此之后又被修改过',
+        IMAGES_UNAVAILABLE: '图片已被彻底删除，无法恢复',
+        ID_CONFLICT: '无法恢复：已有相同ID的条目',
+        ENTRY_GONE: '无法恢复：原条目已不存在',
+        INVALID_ARCHIVE: '导入失败：归档文件无效（{detail}）',
+        NO_UPSTREAMS: '未配置上游站点',
+        QUIZ_NOT_ENOUGH_NAMES: '图鉴中不同名称的条目太少，暂时无法出题',
+        QUIZ_CHANGED: '图鉴内容有变化，请重新开始',
+        TOO_MANY_STREAMS: '连接数过多，请稍后再试',
+        INTERNAL_ERROR: '服务器出错了，请稍后再试'
+    }
+});
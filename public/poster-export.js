@@ -0,0 +1,102 @@
+/**
+ * 图鉴长图导出：长图由服务端生成（/api/export/poster），这里负责请求、进度和下载
+ */
+
+// 接口地址（与页面同源）
+function getPosterApiUrl(path) {
+    const apiBaseUrl = window.API_BASE_URL || `${window.location.protocol}//${window.location.host}/api`;
+    return `${apiBaseUrl}/export/poster${path}`;
+}
+
+// 将导出选项转换为查询参数（忽略空值）
+function toPosterParams(options) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === false) return;
+        params.set(key, value === true ? '1' : value);
+    });
+    return params;
+}
+
+// 请求头：服务端按页面当前的语言生成默认标题、页脚和错误说明
+function getPosterHeaders() {
+    return { 'Accept-Language': currentLocale };
+}
+
+// 将失败的导出请求转换为错误
+async function createPosterError(response) {
+    if (response.status === 429) return new Error(t('export.tooFrequent'));
+    const data = await response.json().catch(() => null);
+    return new Error(data && data.error ? data.error : t('export.failed'));
+}
+
+/**
+ * 查询导出的条目数和页数
+ * @param {Object} options - 导出选项（同 fetchPoster，不含 page）
+ * @returns {Promise<Object>} - { count, perPage, pages }
+ */
+async function fetchPosterPages(options) {
+    const response = await fetch(getPosterApiUrl(`/pages?${toPosterParams(options)}`), {
+        cache: 'no-store',
+        headers: getPosterHeaders()
+    });
+    if (!response.ok) throw await createPosterError(response);
+    return response.json();
+}
+
+/**
+ * 从服务端获取长图（图片格式为一页，PDF 为全部页面）
+ * @param {Object} options - 导出选项
+ * @param {string} options.format - 输出格式：png / jpeg / webp / pdf
+ * @param {number} [options.page] - 页码（图片格式），默认第1页
+ * @param {number} [options.columns] - 列数
+ * @param {string} [options.title] - 标题
+ * @param {string} [options.search] - 搜索词，只导出匹配的条目
+ * @param {string} [options.tag] - 标签，只导出带该标签的条目
+ * @param {string} [options.ids] - 手动挑选的条目ID（逗号分隔），优先于搜索和标签
+ * @param {boolean} [options.watermark] - 是否加水印
+ * @param {boolean} [options.qr] - 是否附带指向本站的二维码
+ * @param {Function} [onProgress] - 下载进度回调 (已接收字节数, 总字节数)
+ * @returns {Promise<Blob>}
+ */
+async function fetchPoster(options, onProgress) {
+    const response = await fetch(getPosterApiUrl(`?${toPosterParams(options)}`), {
+        cache: 'no-store',
+        headers: getPosterHeaders()
+    });
+    if (!response.ok) throw await createPosterError(response);
+
+    const total = parseInt(response.headers.get('Content-Length')) || 0;
+    if (!onProgress || !total || !response.body) {
+        return response.blob();
+    }
+
+    // 边下载边汇报进度
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        onProgress(received, total);
+    }
+    return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+}
+
+/**
+ * 下载文件
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 下载的文件名
+ */
+function downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
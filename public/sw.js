@@ -1,139 +1,164 @@
-if (typeof caches === 'undefined') {
-    console.error('Cache API is not available in this environment');
-    // 在这里处理不支持的情况
-}
+// 相对地址基于 sw.js 自身的地址解析，挂载到子路径下（如 /yelu/sw.js）时同样可用
+importScripts('upload-queue.js');
+
+// 缓存版本：修改页面资源或缓存策略后递增，旧版本的缓存会在激活时删除
+const CACHE_VERSION = 'v12';
+
+// 路径前缀（sw.js 所在目录，如 / 或 /yelu/），页面与接口的地址都在它之下
+const BASE_PATH = new URL('./', self.location).pathname;
+const SHELL_CACHE = `yeluyelu-shell-${CACHE_VERSION}`;
+const API_CACHE = `yeluyelu-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `yeluyelu-images-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+
+// 图片缓存的最大条数，超出后删除最早缓存的图片
+const MAX_CACHED_IMAGES = 300;
 
-const CACHE_NAME = 'bird-guide-cache-v3';
-const API_CACHE_NAME = 'bird-guide-api-cache-v3';
+// 离线时使用缓存的接口响应带上这个响应头，页面据此提示内容可能不是最新的
+const CACHE_FALLBACK_HEADER = 'X-Served-From-Cache';
 
-// 只预缓存关键本地资源
-const PRE_CACHE_ASSETS = [
-    '/',
-    '/index.html'
+// 应用外壳：离线打开页面所需的全部本地资源
+const SHELL_ASSETS = [
+    BASE_PATH,
+    'output.css',
+    'i18n.js',
+    'locales/zh-CN.js',
+    'locales/en.js',
+    'poster-export.js',
+    'upload-queue.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/placeholder.svg',
+    'vendor/font-awesome/css/font-awesome.min.css',
+    'vendor/font-awesome/fonts/fontawesome-webfont.woff2?v=4.7.0'
 ];
 
+// 不缓存的接口：管理员接口、导出、镜像增量与实时事件流（内容经常变化、体积较大或是长连接）
+const UNCACHED_API_PREFIXES = ['api/admin', 'api/export', 'api/changes', 'api/limits', 'api/events'].map(prefix => BASE_PATH + prefix);
+
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('Opened cache');
-                // 使用addAll但捕获单个错误
-                return Promise.all(
-                    PRE_CACHE_ASSETS.map(asset => {
-                        return cache.add(asset).catch(err => {
-                            console.warn(`Failed to cache ${asset}:`, err);
-                        });
-                    })
-                );
-            })
-            .then(() => {
-                console.log('All assets cached');
-                return self.skipWaiting();
-            })
-            .catch(err => {
-                console.error('Cache installation failed:', err);
-            })
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
     );
 });
 
 self.addEventListener('activate', (event) => {
     event.waitUntil(
-        caches.keys().then(cacheNames => {
-            return Promise.all(
-                cacheNames.map(cache => {
-                    if (cache !== CACHE_NAME && cache !== API_CACHE_NAME) {
-                        console.log('Deleting old cache:', cache);
-                        return caches.delete(cache);
-                    }
-                })
-            );
-        }).then(() => {
-            console.log('Activation completed');
-            return self.clients.claim();
-        })
+        caches.keys()
+            .then(cacheNames => Promise.all(cacheNames
+                .filter(name => !CURRENT_CACHES.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
     );
 });
 
 self.addEventListener('fetch', (event) => {
-    const {request} = event;
+    const { request } = event;
     const url = new URL(request.url);
 
-    // 不缓存非GET请求
-    if (request.method !== 'GET') return;
+    // 只处理同源的GET请求
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
 
-    // API请求处理
-    if (url.pathname.startsWith('/api')) {
-        event.respondWith(
-            fetchWithCache(event, API_CACHE_NAME)
-        );
-        return;
+    if (url.pathname.startsWith(`${BASE_PATH}api/images/`)) {
+        event.respondWith(cacheFirstImage(event));
+    } else if (url.pathname.startsWith(`${BASE_PATH}api/`)) {
+        // 携带管理员令牌的响应可能包含未公开的条目，不缓存
+        if (request.headers.has('Authorization')) return;
+        if (UNCACHED_API_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return;
+        event.respondWith(networkFirstApi(event));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
     }
-
-    // 静态资源处理
-    event.respondWith(
-        caches.match(request)
-            .then(cachedResponse => {
-                // 如果找到缓存且不是HTML文档，返回缓存
-                if (cachedResponse && !request.headers.get('accept').includes('text/html')) {
-                    return cachedResponse;
-                }
-
-                // 否则尝试网络请求
-                return fetch(request)
-                    .then(networkResponse => {
-                        // 只缓存同源且非chrome-extension的请求
-                        if (request.url.startsWith('http') && networkResponse.ok) {
-                            // 克隆响应以存入缓存
-                            const responseToCache = networkResponse.clone();
-                            caches.open(CACHE_NAME)
-                                .then(cache => cache.put(request, responseToCache));
-                        }
-                        return networkResponse;
-                    })
-                    .catch(() => {
-                        // 网络失败时，对于HTML返回index.html
-                        if (request.headers.get('accept').includes('text/html')) {
-                            return caches.match('/index.html');
-                        }
-                        return cachedResponse;
-                    });
-            })
-    );
 });
 
-async function fetchWithCache(event, cacheName) {
-    const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(event.request);
-
-    // 立即返回缓存（如果有），然后更新缓存
-    if (cachedResponse) {
-        // 在后台更新缓存
-        event.waitUntil(
-            fetch(event.request)
-                .then(networkResponse => {
-                    return cache.put(event.request, networkResponse.clone());
-                })
-                .catch(() => { /* 忽略更新错误 */
-                })
-        );
-        return cachedResponse;
+// 页面：优先请求网络，离线时返回缓存的首页，由前端路由渲染对应视图
+async function networkFirstPage(request) {
+    try {
+        const response = await fetch(request);
+        // 顺便更新缓存的首页
+        if (response.ok && new URL(request.url).pathname === BASE_PATH) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(BASE_PATH, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match(request)) || (await cache.match(BASE_PATH));
     }
+}
+
+// 接口：优先请求网络并更新缓存，离线时返回缓存的响应
+async function networkFirstApi(event) {
+    const cache = await caches.open(API_CACHE);
 
-    // 没有缓存，尝试网络请求
     try {
-        const networkResponse = await fetch(event.request);
-
-        if (networkResponse.ok) {
-            // 克隆响应以存入缓存
-            const responseToCache = networkResponse.clone();
-            event.waitUntil(
-                cache.put(event.request, responseToCache)
-            );
+        const response = await fetch(event.request);
+        if (response.ok) {
+            event.waitUntil(cache.put(event.request, response.clone()));
         }
-
-        return networkResponse;
+        return response;
     } catch (error) {
-        // 网络请求失败且没有缓存
-        throw error;
+        const cached = await cache.match(event.request);
+        if (!cached) throw error;
+
+        const headers = new Headers(cached.headers);
+        headers.set(CACHE_FALLBACK_HEADER, '1');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
+
+// 图片：文件名带有随机前缀，内容不会变化，优先使用缓存
+async function cacheFirstImage(event) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(event.request);
+    if (cached) return cached;
+
+    const response = await fetch(event.request);
+    if (response.ok) {
+        event.waitUntil(cache.put(event.request, response.clone()).then(() => trimCache(cache, MAX_CACHED_IMAGES)));
     }
-}
\ No newline at end of file
+    return response;
+}
+
+// 删除最早缓存的条目，直到不超过上限（cache.keys() 按加入顺序返回）
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+// 其它静态资源：先返回缓存，同时在后台更新
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(response => {
+        if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// 后台同步：联网后提交离线时排队的上传，并通知打开的页面
+self.addEventListener('sync', (event) => {
+    if (event.tag !== UPLOAD_QUEUE_SYNC_TAG) return;
+
+    event.waitUntil((async () => {
+        const result = await flushUploadQueue(new URL('api', self.location).href);
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'upload-queue', result }));
+
+        // 仍有未提交的条目时让浏览器稍后重试
+        if (result.remaining > 0) {
+            throw new Error(`${result.remaining} queued uploads remaining`);
+        }
+    })());
+});
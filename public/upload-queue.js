@@ -0,0 +1,108 @@
+/**
+ * 离线上传队列：离线时新增的条目先保存在 IndexedDB 中，联网后再依次提交
+ * 页面和 Service Worker（importScripts）共用这份代码
+ */
+
+const UPLOAD_QUEUE_DB = 'yeluyelu';
+const UPLOAD_QUEUE_STORE = 'uploads';
+const UPLOAD_QUEUE_SYNC_TAG = 'upload-queue';
+
+// 打开队列数据库
+function openUploadQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(UPLOAD_QUEUE_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(UPLOAD_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 在队列上执行一次事务，返回请求结果
+async function runUploadQueue(mode, operation) {
+    const db = await openUploadQueue();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(UPLOAD_QUEUE_STORE, mode);
+            const request = operation(transaction.objectStore(UPLOAD_QUEUE_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * 将一次上传加入队列（FormData 不能直接存入 IndexedDB，拆成文本字段和图片）
+ * @param {FormData} formData - 上传表单
+ * @param {string} operationDesc - 操作描述（提交时原样记录到操作日志，加入队列时已按页面语言注明是离线上传）
+ * @returns {Promise<number>} - 队列中的ID
+ */
+function enqueueUpload(formData, operationDesc) {
+    const fields = {};
+    let image = null;
+    formData.forEach((value, key) => {
+        if (value instanceof Blob) image = value;
+        else fields[key] = value;
+    });
+
+    return runUploadQueue('readwrite', store => store.add({
+        fields: fields,
+        image: image,
+        imageName: image && image.name ? image.name : 'image',
+        operationDesc: operationDesc,
+        createdAt: new Date().toISOString()
+    }));
+}
+
+// 队列中的全部上传（按加入顺序）
+function listQueuedUploads() {
+    return runUploadQueue('readonly', store => store.getAll());
+}
+
+// 从队列中移除
+function removeQueuedUpload(id) {
+    return runUploadQueue('readwrite', store => store.delete(id));
+}
+
+/**
+ * 依次提交队列中的上传
+ * 成功或被服务端拒绝（重复图片、校验失败等）的条目移出队列；
+ * 网络错误、服务端错误或频率超限时停止，保留剩余条目等待下次提交
+ * @param {string} apiBaseUrl - 接口地址
+ * @returns {Promise<Object>} - { sent: 已提交的名称, failed: [{ name, status }], remaining: 剩余条数 }
+ */
+async function flushUploadQueue(apiBaseUrl) {
+    const uploads = await listQueuedUploads();
+    const result = { sent: [], failed: [], remaining: uploads.length };
+
+    for (const upload of uploads) {
+        const formData = new FormData();
+        Object.entries(upload.fields).forEach(([key, value]) => formData.append(key, value));
+        if (upload.image) formData.append('image', upload.image, upload.imageName);
+
+        let response;
+        try {
+            response = await fetch(`${apiBaseUrl}/birds`, {
+                method: 'POST',
+                body: formData,
+                headers: { 'X-Operation-Desc': encodeURIComponent(upload.operationDesc) }
+            });
+        } catch (error) {
+            break;
+        }
+        if (response.status >= 500 || response.status === 429) break;
+
+        await removeQueuedUpload(upload.id);
+        result.remaining--;
+        if (response.ok) {
+            result.sent.push(upload.fields.name);
+        } else {
+            result.failed.push({ name: upload.fields.name, status: response.status });
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,101 @@
+/**
+ * 本地的上游替身：只实现镜像同步用到的接口（/api/changes 与 /api/images），用于测试镜像同步
+ *
+ * 用法：node scripts/mirror-upstream.js [--port=4000] [--data=data.json] [--images=public/images] [--site-url=http://localhost:4000]
+ * 然后在被测实例上设置 MIRROR_UPSTREAMS=http://localhost:4000
+ */
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const { createChangeFeed, toMirrorEntry } = require('../lib/mirror');
+
+// 内存中的集合，接口与 createJsonCollection 相同但不写盘
+function createMemoryCollection() {
+    let items = [];
+    return {
+        get: () => items,
+        save: () => Promise.resolve(),
+        update: (fn) => {
+            items = fn(items);
+            return Promise.resolve();
+        },
+        flush: () => Promise.resolve()
+    };
+}
+
+/**
+ * 创建上游替身
+ * @param {Object} options - 替身选项
+ * @param {Array<Object>} options.entries - 初始条目
+ * @param {string} options.imagesDir - 图片目录
+ * @param {string} options.siteUrl - 替身自己的地址（作为条目的来源）
+ * @returns {Object} - { app, upsert, remove }，upsert / remove 用于在测试中模拟上游的修改
+ */
+function createUpstreamStub(options) {
+    const { imagesDir, siteUrl } = options;
+    const entries = new Map(options.entries.map(entry => [entry.id, entry]));
+    const feed = createChangeFeed(createMemoryCollection());
+    feed.seed([...entries.keys()].sort((a, b) => a - b));
+
+    const app = express();
+    app.use('/api/images', express.static(imagesDir));
+
+    app.get('/api/changes', (req, res) => {
+        const since = Math.max(parseInt(req.query.since) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const page = feed.list(since, limit);
+
+        res.json({
+            changes: page.records.map(record => {
+                const entry = entries.get(record.birdId);
+                const change = { seq: record.seq, id: record.birdId, updatedAt: record.timestamp };
+                return entry ? { ...change, entry: toMirrorEntry(entry, siteUrl) } : { ...change, deleted: true };
+            }),
+            cursor: page.cursor,
+            hasMore: page.hasMore
+        });
+    });
+
+    // 新增或修改条目
+    function upsert(entry) {
+        entries.set(entry.id, entry);
+        return feed.record([entry.id]);
+    }
+
+    // 删除条目
+    function remove(id) {
+        entries.delete(id);
+        return feed.record([id]);
+    }
+
+    return { app, upsert, remove };
+}
+
+// 解析 --key=value 形式的命令行参数
+function parseArgs(argv) {
+    return Object.fromEntries(argv
+        .filter(arg => arg.startsWith('--') && arg.includes('='))
+        .map(arg => {
+            const index = arg.indexOf('=');
+            return [arg.slice(2, index), arg.slice(index + 1)];
+        }));
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port) || 4000;
+    const dataFile = path.resolve(args.data || path.join(__dirname, '..', 'data.json'));
+    const imagesDir = path.resolve(args.images || path.join(__dirname, '..', 'public', 'images'));
+    const siteUrl = args['site-url'] || `http://localhost:${port}`;
+
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    const entries = (Array.isArray(data) ? data : data.entries)
+        .filter(entry => !entry.status || entry.status === 'approved');
+
+    const { app } = createUpstreamStub({ entries, imagesDir, siteUrl });
+    app.listen(port, () => {
+        console.log(`Mirror upstream stub serving ${entries.length} entries on port ${port}`);
+    });
+}
+
+module.exports = { createUpstreamStub };
@@ -2,6 +2,8 @@
 module.exports = {
     content: [
         "./public/**/*.html",
+        "./public/*.js",
+        "./lib/pages.js",
     ],
     theme: {
         extend: {
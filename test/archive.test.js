@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const stream = require('stream');
+const tar = require('tar-stream');
+const { extractArchive, importImages, ArchiveError } = require('../lib/archive');
+
+// 按导出格式打包归档，manifest 中的校验和与内容一致
+async function buildArchive(entries) {
+    const entriesBuffer = Buffer.from(JSON.stringify({ entries }));
+    const manifest = {
+        format: 'yeluyelu-archive',
+        version: 1,
+        files: {
+            'entries.json': {
+                sha256: crypto.createHash('sha256').update(entriesBuffer).digest('hex'),
+                size: entriesBuffer.length
+            }
+        }
+    };
+
+    const pack = tar.pack();
+    pack.entry({ name: 'manifest.json' }, JSON.stringify(manifest));
+    pack.entry({ name: 'entries.json' }, entriesBuffer);
+    pack.finalize();
+    return stream.Readable.from(await readAll(pack.pipe(zlib.createGzip())));
+}
+
+async function readAll(source) {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('拒绝 entries.json 中包含路径的图片文件名', async (t) => {
+    const dir = tempDir(t);
+    const entries = [
+        { id: 1, name: '夜鹭', imageUrl: 'ok.jpg' },
+        { id: 2, name: '苍鹭', imageUrl: 'ok.jpg', images: { thumb: { jpeg: '../../escape.jpg' } } }
+    ];
+
+    await assert.rejects(
+        extractArchive(await buildArchive(entries), path.join(dir, 'work')),
+        error => error instanceof ArchiveError && /invalid image file name/.test(error.params.detail)
+    );
+});
+
+test('导入条目前校验图片文件名，不读写目录之外的文件', async (t) => {
+    const dir = tempDir(t);
+    const sourceDir = path.join(dir, 'source');
+    const imagesDir = path.join(dir, 'images');
+    fs.mkdirSync(sourceDir);
+    fs.mkdirSync(imagesDir);
+    fs.writeFileSync(path.join(dir, 'secret.jpg'), 'secret');
+
+    for (const imageUrl of ['../secret.jpg', 'x/../../secret.jpg', '..', 'a\\b.jpg']) {
+        await assert.rejects(importImages({ id: 1, name: '夜鹭', imageUrl }, sourceDir, imagesDir), ArchiveError);
+    }
+    assert.deepStrictEqual(fs.readdirSync(imagesDir), []);
+});
+
+test('正常的文件名照常导入', async (t) => {
+    const dir = tempDir(t);
+    const sourceDir = path.join(dir, 'source');
+    const imagesDir = path.join(dir, 'images');
+    fs.mkdirSync(sourceDir);
+    fs.mkdirSync(imagesDir);
+    fs.writeFileSync(path.join(sourceDir, 'a.jpg'), 'image');
+
+    const entry = await importImages({ id: 1, name: '夜鹭', imageUrl: 'a.jpg' }, sourceDir, imagesDir);
+    assert.strictEqual(entry.imageUrl, 'a.jpg');
+    assert.strictEqual(fs.readFileSync(path.join(imagesDir, 'a.jpg'), 'utf8'), 'image');
+});
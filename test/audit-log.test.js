@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createJpeg, startApp } = require('./helpers');
+
+const ENTRIES = [
+    { id: 1, name: '夜鹭', imageUrl: null, status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' }
+];
+
+// 最近一条操作日志
+async function latestLog(request, token) {
+    const { body } = await request('/api/admin/audit-log', { token });
+    return body.logs[0];
+}
+
+// 以管理员身份修改条目名称
+function rename(upload, token, id, name) {
+    return upload(`/api/birds/${id}`, { name }, null, { method: 'PUT', token });
+}
+
+test('撤销修改后条目回到修改前的状态，同一操作不能撤销两次', async (t) => {
+    const { request, login, upload } = await startApp(t, { entries: ENTRIES });
+    const token = await login();
+
+    await rename(upload, token, 1, '苍鹭');
+    const log = await latestLog(request, token);
+    assert.strictEqual(log.method, 'PUT');
+    assert.strictEqual(log.revertible, true);
+
+    const reverted = await request(`/api/admin/audit-log/${log.id}/revert`, { method: 'POST', token, json: {} });
+    assert.strictEqual(reverted.status, 200);
+    assert.strictEqual((await request('/api/birds/1')).body.name, '夜鹭');
+
+    const again = await request(`/api/admin/audit-log/${log.id}/revert`, { method: 'POST', token, json: {} });
+    assert.strictEqual(again.body.code, 'ALREADY_REVERTED');
+});
+
+test('条目之后又被修改时返回冲突，force 强制撤销', async (t) => {
+    const { request, login, upload } = await startApp(t, { entries: ENTRIES });
+    const token = await login();
+
+    await rename(upload, token, 1, '苍鹭');
+    const first = await latestLog(request, token);
+    await rename(upload, token, 1, '白鹭');
+
+    const conflict = await request(`/api/admin/audit-log/${first.id}/revert`, { method: 'POST', token, json: {} });
+    assert.strictEqual(conflict.status, 409);
+    assert.strictEqual(conflict.body.code, 'REVERT_CONFLICT');
+    assert.deepStrictEqual(conflict.body.conflicts, [1]);
+    assert.strictEqual((await request('/api/birds/1')).body.name, '白鹭');
+
+    const forced = await request(`/api/admin/audit-log/${first.id}/revert`, { method: 'POST', token, json: { force: true } });
+    assert.strictEqual(forced.status, 200);
+    assert.strictEqual((await request('/api/birds/1')).body.name, '夜鹭');
+});
+
+test('撤销删除时条目和图片从回收站取回', async (t) => {
+    const { request, login, upload, imagesDir } = await startApp(t);
+    const token = await login();
+
+    const bird = (await upload('/api/birds', { name: '夜鹭' }, await createJpeg(), { token })).body;
+    await request(`/api/birds/${bird.id}`, { method: 'DELETE', token });
+    assert.ok(!fs.existsSync(path.join(imagesDir, bird.imageUrl)));
+
+    const log = await latestLog(request, token);
+    const reverted = await request(`/api/admin/audit-log/${log.id}/revert`, { method: 'POST', token, json: {} });
+    assert.strictEqual(reverted.status, 200);
+
+    const restored = await request(`/api/birds/${bird.id}`);
+    assert.strictEqual(restored.body.imageUrl, bird.imageUrl);
+    assert.ok(fs.existsSync(path.join(imagesDir, bird.imageUrl)));
+    assert.deepStrictEqual((await request('/api/admin/trash', { token })).body.items, []);
+});
+
+test('没有记录变更的操作不能撤销', async (t) => {
+    const { request, login } = await startApp(t, { entries: ENTRIES });
+    const token = await login();
+
+    await request('/api/admin/reports/1/dismiss', { method: 'POST', token });
+    const log = await latestLog(request, token);
+    assert.strictEqual(log.revertible, false);
+
+    const result = await request(`/api/admin/audit-log/${log.id}/revert`, { method: 'POST', token, json: {} });
+    assert.strictEqual(result.body.code, 'NOT_REVERTIBLE');
+
+    const missing = await request('/api/admin/audit-log/unknown/revert', { method: 'POST', token, json: {} });
+    assert.strictEqual(missing.body.code, 'LOG_NOT_FOUND');
+});
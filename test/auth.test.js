@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAuth } = require('../lib/auth');
+const { ADMIN, startApp } = require('./helpers');
+
+test('正确的账号密码返回令牌，错误时返回 INVALID_CREDENTIALS', async (t) => {
+    const { request } = await startApp(t);
+
+    const ok = await request('/api/admin/login', { method: 'POST', json: { username: ADMIN.username, password: ADMIN.password } });
+    assert.strictEqual(ok.status, 200);
+    assert.ok(ok.body.token);
+    assert.ok(Date.parse(ok.body.expiresAt) > Date.now());
+
+    const wrong = await request('/api/admin/login', { method: 'POST', json: { username: ADMIN.username, password: 'wrong' } });
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(wrong.body.code, 'INVALID_CREDENTIALS');
+});
+
+test('管理员接口没有令牌或令牌无效时返回 401，有效令牌可以访问', async (t) => {
+    const { request, login } = await startApp(t);
+
+    const anonymous = await request('/api/admin/pending');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.body.code, 'UNAUTHORIZED');
+
+    const token = await login();
+    const forged = await request('/api/admin/pending', { token: `${token.split('.')[0]}.forged` });
+    assert.strictEqual(forged.status, 401);
+
+    const allowed = await request('/api/admin/pending', { token });
+    assert.strictEqual(allowed.status, 200);
+
+    const session = await request('/api/admin/session', { token });
+    assert.deepStrictEqual(session.body, { isAdmin: true, username: ADMIN.username, loginEnabled: true });
+});
+
+test('令牌过期后不再有效，换了签名密钥的令牌也无效', async () => {
+    const auth = createAuth({ password: 'pw', secret: 'a', tokenTtl: 50 });
+    const { token } = auth.login('admin', 'pw');
+    assert.strictEqual(auth.verifyToken(token).sub, 'admin');
+
+    const other = createAuth({ password: 'pw', secret: 'b' });
+    assert.strictEqual(other.verifyToken(token), null);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.strictEqual(auth.verifyToken(token), null);
+});
+
+test('未设置密码时禁用登录', async () => {
+    const auth = createAuth({});
+    assert.strictEqual(auth.enabled, false);
+    assert.strictEqual(auth.login('admin', ''), null);
+});
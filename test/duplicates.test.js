@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJpeg, createSplitJpeg, startApp } = require('./helpers');
+
+// 没有感知哈希的旧条目
+const LEGACY_ENTRY = { id: 1, name: '夜鹭', imageUrl: 'legacy.jpg', status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' };
+
+test('启动后立即上传与旧条目相同的图片也会被识别为重复', async (t) => {
+    const image = await createSplitJpeg('#000000', '#ffffff');
+    const { upload, readData } = await startApp(t, { entries: [LEGACY_ENTRY], images: { 'legacy.jpg': image } });
+
+    assert.match(readData('data.json').entries[0].phash, /^[0-9a-f]+$/);
+
+    const duplicate = await upload('/api/birds', { name: '夜鹭' }, image);
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual(duplicate.body.code, 'DUPLICATE_IMAGE');
+    assert.strictEqual(duplicate.body.duplicateOf.id, LEGACY_ENTRY.id);
+
+    const confirmed = await upload('/api/birds', { name: '夜鹭', allowDuplicate: true }, image);
+    assert.strictEqual(confirmed.status, 201);
+    assert.strictEqual(confirmed.body.duplicateOf, LEGACY_ENTRY.id);
+});
+
+test('不相似的图片正常上传', async (t) => {
+    const { upload } = await startApp(t, {
+        entries: [LEGACY_ENTRY],
+        images: { 'legacy.jpg': await createSplitJpeg('#000000', '#ffffff') }
+    });
+
+    const uploaded = await upload('/api/birds', { name: '白鹭' }, await createSplitJpeg('#ffffff', '#000000'));
+    assert.strictEqual(uploaded.status, 201);
+    assert.strictEqual(uploaded.body.duplicateOf, undefined);
+});
+
+test('缺少图片文件的旧条目不影响启动', async (t) => {
+    const { upload } = await startApp(t, { entries: [LEGACY_ENTRY] });
+
+    const uploaded = await upload('/api/birds', { name: '白鹭' }, await createJpeg());
+    assert.strictEqual(uploaded.status, 201);
+});
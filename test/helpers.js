@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createApp } = require('../lib/app');
+
+// 测试用的管理员账号
+const ADMIN = { username: 'admin', password: 'test-password', tokenSecret: 'test-secret' };
+
+/**
+ * 生成纯色 JPEG 图片
+ * @param {string} [background] - 背景色，不同颜色的图片感知哈希不同
+ * @returns {Promise<Buffer>}
+ */
+function createJpeg(background = '#336699') {
+    return sharp({ create: { width: 64, height: 48, channels: 3, background } }).jpeg().toBuffer();
+}
+
+/**
+ * 生成左右两半颜色不同的 JPEG 图片，用于得到与纯色图片差异较大的感知哈希
+ * @param {string} left - 左半边颜色
+ * @param {string} right - 右半边颜色
+ * @returns {Promise<Buffer>}
+ */
+async function createSplitJpeg(left, right) {
+    const half = await sharp({ create: { width: 32, height: 48, channels: 3, background: right } }).png().toBuffer();
+    return sharp({ create: { width: 64, height: 48, channels: 3, background: left } })
+        .composite([{ input: half, left: 32, top: 0 }])
+        .jpeg()
+        .toBuffer();
+}
+
+/**
+ * 在临时目录中启动应用并监听随机端口，测试结束时关闭并删除临时目录
+ * @param {Object} t - node:test 的测试上下文
+ * @param {Object} [options] - 启动选项
+ * @param {Array} [options.entries] - 写入 data.json 的条目
+ * @param {Object} [options.images] - 预先放入图片目录的文件 { 文件名: 内容 }
+ * @param {Object} [options.config] - 部署配置
+ * @param {*} [options.data] - 直接写入 data.json 的内容（优先于 entries）
+ * @returns {Promise<Object>} - { url, dataDir, imagesDir, request, login, upload, readData }
+ */
+async function startApp(t, options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+    const imagesDir = path.join(dataDir, 'images');
+    fs.mkdirSync(imagesDir);
+
+    const data = options.data !== undefined ? options.data : { version: 1, entries: options.entries || [] };
+    fs.writeFileSync(path.join(dataDir, 'data.json'), JSON.stringify(data));
+    for (const [file, content] of Object.entries(options.images || {})) {
+        fs.writeFileSync(path.join(imagesDir, file), content);
+    }
+
+    const gallery = createApp({
+        dataDir,
+        imagesDir,
+        admin: ADMIN,
+        config: options.config || {}
+    });
+    await gallery.init();
+
+    const server = await new Promise(resolve => {
+        const listening = gallery.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    t.after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await gallery.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    // 发送请求并解析 JSON 响应，token 为管理员令牌
+    async function request(pathname, init = {}) {
+        const headers = { ...init.headers };
+        if (init.token) headers.Authorization = `Bearer ${init.token}`;
+        if (init.json !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(url + pathname, {
+            method: init.method || 'GET',
+            headers,
+            body: init.json !== undefined ? JSON.stringify(init.json) : init.body
+        });
+        const type = response.headers.get('content-type') || '';
+        const body = type.includes('application/json') ? await response.json() : await response.text();
+        return { status: response.status, headers: response.headers, body };
+    }
+
+    // 以管理员身份登录，返回令牌
+    async function login() {
+        const { body } = await request('/api/admin/login', {
+            method: 'POST',
+            json: { username: ADMIN.username, password: ADMIN.password }
+        });
+        return body.token;
+    }
+
+    // 以表单方式上传条目，fields 为文本字段，image 为图片内容
+    function upload(pathname, fields, image, init = {}) {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) {
+            form.append(name, String(value));
+        }
+        if (image) form.append('image', new Blob([image], { type: 'image/jpeg' }), 'bird.jpg');
+        return request(pathname, { method: 'POST', ...init, body: form });
+    }
+
+    // 读取数据目录中的 JSON 文件
+    function readData(file) {
+        return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    }
+
+    return { url, dataDir, imagesDir, request, login, upload, readData };
+}
+
+module.exports = { ADMIN, createJpeg, createSplitJpeg, startApp };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { translate, SUPPORTED_LOCALES } = require('../lib/i18n');
+const { ArchiveError } = require('../lib/archive');
+const { startApp } = require('./helpers');
+
+// 文案目录中全部文案的键
+function listKeys(node, prefix = '') {
+    return Object.entries(node).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return typeof value === 'object' ? listKeys(value, path) : [path];
+    });
+}
+
+test('各语言的服务端文案键一致', () => {
+    const [base, ...others] = SUPPORTED_LOCALES.map(locale => listKeys(require(`../lib/locales/${locale}`)).sort());
+    others.forEach(keys => assert.deepStrictEqual(keys, base));
+});
+
+test('文案插入参数，缺少的文案回退到默认语言，都没有时返回键本身', () => {
+    assert.strictEqual(translate('en', 'errors.IMAGE_TOO_LARGE', { limitMB: 5 }), 'Image size cannot exceed 5MB');
+    assert.strictEqual(translate('fr', 'errors.BIRD_NOT_FOUND'), '条目不存在');
+    assert.strictEqual(translate('en', 'errors.UNKNOWN'), 'errors.UNKNOWN');
+});
+
+test('校验错误的说明按请求的语言翻译类型名称', async (t) => {
+    const { request } = await startApp(t);
+
+    const zh = await request('/api/birds?page=x', { headers: { 'Accept-Language': 'zh-CN' } });
+    assert.strictEqual(zh.body.code, 'VALIDATION_FAILED');
+    assert.strictEqual(zh.body.details[0].message, 'page 必须是整数');
+    assert.doesNotMatch(zh.body.error, /integer/);
+
+    const en = await request('/api/birds?page=x', { headers: { 'Accept-Language': 'en' } });
+    assert.strictEqual(en.body.details[0].message, 'page must be an integer');
+});
+
+test('操作成功的提示按请求的语言返回', async (t) => {
+    const entries = [{ id: 1, name: '夜鹭', imageUrl: null, status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' }];
+    const { request, login } = await startApp(t, { entries });
+    const token = await login();
+
+    const reported = await request('/api/birds/1/reports', { method: 'POST', json: { reason: 'wrong' } });
+    assert.strictEqual(reported.body.message, '举报已提交');
+
+    const dismissed = await request('/api/admin/reports/1/dismiss', { method: 'POST', token, headers: { 'Accept-Language': 'en' } });
+    assert.strictEqual(dismissed.body.message, 'Reports dismissed');
+
+    const deleted = await request('/api/birds/1', { method: 'DELETE', token });
+    assert.strictEqual(deleted.body.message, '条目已删除');
+});
+
+test('归档错误的具体原因按请求的语言返回，日志中的说明为英文', async (t) => {
+    const error = new ArchiveError('checksumMismatch', { name: 'images/a.jpg' });
+    assert.strictEqual(error.message, 'Invalid archive: Checksum mismatch for images/a.jpg');
+    assert.deepStrictEqual(error.toResponse('zh-CN'), {
+        error: '归档文件无效：images/a.jpg 的校验和不一致',
+        code: 'INVALID_ARCHIVE',
+        reason: 'checksumMismatch',
+        detail: 'images/a.jpg 的校验和不一致'
+    });
+
+    const { request, login } = await startApp(t);
+    const token = await login();
+    const imported = await request('/api/admin/import', {
+        method: 'POST',
+        token,
+        headers: { 'Content-Type': 'application/gzip', 'Accept-Language': 'en' },
+        body: 'not an archive'
+    });
+    assert.strictEqual(imported.status, 400);
+    assert.strictEqual(imported.body.reason, 'invalidTarGz');
+    assert.strictEqual(imported.body.detail, 'Archive is not a valid tar.gz file');
+});
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createMirror } = require('../lib/mirror');
+const { computeImageHash } = require('../lib/phash');
+const { createJpeg, createSplitJpeg, startApp } = require('./helpers');
+
+const UPSTREAM = 'http://upstream.test';
+
+// 上游条目的 schema（应用中与上传条目的规则相同，这里只保留测试用到的字段）
+const ENTRY_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 40 },
+        imageUrl: { type: ['string', 'null'] },
+        images: { type: 'object' },
+        tags: { type: 'array', items: { type: 'string', maxLength: 20 } }
+    }
+};
+
+// 内存中的集合，接口与 createJsonCollection 相同但不写盘
+function createMemoryCollection() {
+    let items = [];
+    return {
+        get: () => items,
+        save: () => Promise.resolve(),
+        update: (fn) => {
+            items = fn(items);
+            return Promise.resolve();
+        }
+    };
+}
+
+/**
+ * 上游替身：/api/changes 返回给定的条目，/api/images/ 下的任意文件名都返回同一份图片内容
+ * 记录请求过的地址，用于确认不安全的条目没有被下载
+ */
+function createFakeUpstream(entries, image) {
+    const requested = [];
+    const fetch = async (url) => {
+        requested.push(url);
+        if (url.startsWith(`${UPSTREAM}/api/changes`)) {
+            return Response.json({
+                changes: entries.map((entry, index) => ({ seq: index + 1, id: entry.id, entry })),
+                cursor: entries.length,
+                hasMore: false
+            });
+        }
+        return new Response(image);
+    };
+    return { fetch, requested };
+}
+
+// 在临时目录中创建镜像同步，images 为图片目录，记录保存的条目
+function setup(t, entries, image, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const imagesDir = path.join(dir, 'images');
+    fs.mkdirSync(imagesDir);
+
+    const upstream = createFakeUpstream(entries, image);
+    const saved = [];
+    const mirror = createMirror({
+        upstreams: [UPSTREAM],
+        collection: createMemoryCollection(),
+        imagesDir,
+        entrySchema: ENTRY_SCHEMA,
+        siteUrl: 'http://local.test',
+        getEntries: () => saved,
+        onUpsert: async (bird) => saved.push(bird),
+        onRemove: async () => {},
+        fetch: upstream.fetch,
+        ...options
+    });
+    return { dir, imagesDir, mirror, saved, requested: upstream.requested };
+}
+
+function validJpeg() {
+    return sharp({ create: { width: 64, height: 48, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+}
+
+test('跳过图片文件名包含目录或 .. 的条目，不在图片目录之外写入文件', async (t) => {
+    const names = ['x/../../pwned.js', '../pwned.jpg', '..', 'a/b.jpg'];
+    const entries = names.map((imageUrl, index) => ({ id: index + 1, name: '夜鹭', imageUrl }));
+    const { dir, imagesDir, mirror, saved, requested } = setup(t, entries, await validJpeg());
+
+    const [result] = await mirror.sync();
+
+    assert.strictEqual(result.failed, names.length);
+    assert.strictEqual(result.added, 0);
+    assert.deepStrictEqual(saved, []);
+    assert.ok(requested.every(url => !url.includes('/api/images/')));
+    assert.deepStrictEqual(fs.readdirSync(imagesDir), []);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['images']);
+});
+
+test('跳过 images 中带有不安全文件名的条目', async (t) => {
+    const entries = [{ id: 1, name: '夜鹭', imageUrl: 'a.jpg', images: { thumb: { jpeg: '../../thumb.jpg' } } }];
+    const { mirror, saved } = setup(t, entries, await validJpeg());
+
+    const [result] = await mirror.sync();
+
+    assert.strictEqual(result.failed, 1);
+    assert.deepStrictEqual(saved, []);
+});
+
+test('跳过损坏的图片，不留下文件', async (t) => {
+    const corruptGif = Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(64, 0x7f)]);
+    const entries = [{ id: 1, name: '夜鹭', imageUrl: 'broken.gif' }];
+    const { imagesDir, mirror, saved } = setup(t, entries, corruptGif);
+
+    const [result] = await mirror.sync();
+
+    assert.strictEqual(result.failed, 1);
+    assert.deepStrictEqual(saved, []);
+    assert.deepStrictEqual(fs.readdirSync(imagesDir), []);
+});
+
+test('跳过超过大小上限的图片', async (t) => {
+    const entries = [{ id: 1, name: '夜鹭', imageUrl: 'large.jpg' }];
+    const { imagesDir, mirror, saved } = setup(t, entries, await validJpeg(), { maxImageSize: 100 });
+
+    const [result] = await mirror.sync();
+
+    assert.strictEqual(result.failed, 1);
+    assert.deepStrictEqual(saved, []);
+    assert.deepStrictEqual(fs.readdirSync(imagesDir), []);
+});
+
+test('有效的图片重新编码后以本站生成的文件名保存', async (t) => {
+    const entries = [{ id: 7, name: '夜鹭', imageUrl: '夜鹭.jpg', status: 'approved' }];
+    const { imagesDir, mirror, saved } = setup(t, entries, await validJpeg());
+
+    const [result] = await mirror.sync();
+
+    assert.strictEqual(result.added, 1);
+    const [bird] = saved;
+    assert.notStrictEqual(bird.imageUrl, '夜鹭.jpg');
+    assert.strictEqual(bird.status, undefined);
+    assert.deepStrictEqual(bird.mirror.id, 7);
+    assert.strictEqual(bird.mirror.imageUrl, '夜鹭.jpg');
+    for (const variant of Object.values(bird.images)) {
+        assert.ok(fs.existsSync(path.join(imagesDir, variant.jpeg)));
+    }
+});
+
+test('跳过不符合条目 schema 的条目，只保留 schema 中列出的字段', async (t) => {
+    const entries = [
+        { id: 1, name: '夜鹭', imageUrl: null, tags: [1, 2] },
+        { id: 2, name: 'x'.repeat(41), imageUrl: null },
+        { id: 3, imageUrl: null },
+        { id: 4, name: '白鹭', imageUrl: null, tags: ['鹭'], phash: 'ffffffffffffffff', likes: 99, extra: 'x' }
+    ];
+    const { mirror, saved } = setup(t, entries, await validJpeg());
+
+    const [result] = await mirror.sync();
+
+    assert.strictEqual(result.failed, 3);
+    assert.strictEqual(result.added, 1);
+    const { mirror: record, ...bird } = saved[0];
+    assert.deepStrictEqual(bird, { name: '白鹭', imageUrl: null, tags: ['鹭'] });
+    assert.strictEqual(record.id, 4);
+});
+
+test('停止后中止进行中的请求，不再开始新的同步', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // 请求一直挂起，直到被中止
+    const hanging = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    });
+    const mirror = createMirror({
+        upstreams: [UPSTREAM],
+        collection: createMemoryCollection(),
+        imagesDir: dir,
+        entrySchema: ENTRY_SCHEMA,
+        siteUrl: 'http://local.test',
+        getEntries: () => [],
+        onUpsert: async () => {},
+        onRemove: async () => {},
+        fetch: hanging
+    });
+
+    const syncing = mirror.sync();
+    assert.ok(mirror.isRunning());
+    await mirror.stop();
+
+    assert.strictEqual(mirror.isRunning(), false);
+    const [result] = await syncing;
+    assert.ok(result.error);
+    assert.deepStrictEqual(await mirror.sync(), []);
+});
+
+test('镜像条目的感知哈希在本站计算，与已有图片相似的条目标记为重复并进入审核队列', async (t) => {
+    const image = await createSplitJpeg('#000000', '#ffffff');
+    const upstream = await startApp(t, {
+        config: { site: { url: 'http://upstream.test' } },
+        entries: [
+            { id: 3, name: '夜鹭', imageUrl: 'a.jpg', phash: 'ffffffffffffffff', tags: ['鹭'], status: 'approved', createdAt: '2024-01-03T00:00:00.000Z' },
+            { id: 2, name: '白鹭', imageUrl: null, tags: [1, 2], status: 'approved', createdAt: '2024-01-02T00:00:00.000Z' },
+            { id: 1, name: '苍鹭', imageUrl: null, description: 'x'.repeat(1000), status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' }
+        ],
+        images: { 'a.jpg': image }
+    });
+    const local = await startApp(t, {
+        config: { site: { url: 'http://local.test' }, mirror: { upstreams: [upstream.url], publish: true } },
+        entries: [{ id: 1, name: '夜鹭', imageUrl: 'local.jpg', status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' }],
+        images: { 'local.jpg': image }
+    });
+    const token = await local.login();
+
+    const synced = await local.request('/api/admin/mirror/sync', { method: 'POST', token });
+    assert.strictEqual(synced.status, 200);
+
+    const entries = local.readData('data.json').entries;
+    assert.strictEqual(entries.length, 2);
+    const mirrored = entries.find(bird => bird.mirror);
+    assert.strictEqual(mirrored.status, 'pending');
+    assert.strictEqual(mirrored.duplicateOf, 1);
+    assert.notStrictEqual(mirrored.phash, 'ffffffffffffffff');
+    assert.strictEqual(mirrored.phash, await computeImageHash(path.join(local.imagesDir, mirrored.imageUrl)));
+    assert.notStrictEqual(mirrored.id, 1);
+
+    // 按标签筛选不会因为上游的无效标签出错
+    const tagged = await local.request(`/api/birds?tag=${encodeURIComponent('鹭')}`);
+    assert.strictEqual(tagged.status, 200);
+});
+
+test('配置了 mirror.publish 时不相似的镜像条目直接公开', async (t) => {
+    const upstream = await startApp(t, {
+        config: { site: { url: 'http://upstream.test' } },
+        entries: [{ id: 3, name: '夜鹭', imageUrl: 'a.jpg', status: 'approved', createdAt: '2024-01-03T00:00:00.000Z' }],
+        images: { 'a.jpg': await createJpeg() }
+    });
+    const local = await startApp(t, {
+        config: { site: { url: 'http://local.test' }, mirror: { upstreams: [upstream.url], publish: true } }
+    });
+    const token = await local.login();
+
+    await local.request('/api/admin/mirror/sync', { method: 'POST', token });
+
+    const { body } = await local.request('/api/birds');
+    assert.deepStrictEqual(body.birds.map(bird => bird.name), ['夜鹭']);
+    assert.strictEqual(body.birds[0].origin.url, 'http://upstream.test');
+});
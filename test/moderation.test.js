@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createJpeg, createSplitJpeg, startApp } = require('./helpers');
+
+// 公开列表中的条目ID
+async function listIds(request) {
+    const { body } = await request('/api/birds');
+    return body.birds.map(bird => bird.id);
+}
+
+test('访客上传的条目进入审核队列，不出现在公开列表中', async (t) => {
+    const { request, login, upload } = await startApp(t);
+    const token = await login();
+
+    const uploaded = await upload('/api/birds', { name: '夜鹭' }, await createJpeg());
+    assert.strictEqual(uploaded.status, 201);
+    assert.strictEqual(uploaded.body.status, 'pending');
+
+    const { id } = uploaded.body;
+    assert.deepStrictEqual(await listIds(request), []);
+    assert.strictEqual((await request(`/api/birds/${id}`)).status, 404);
+    assert.strictEqual((await request(`/api/birds/${id}`, { token })).status, 200);
+
+    const pending = await request('/api/admin/pending', { token });
+    assert.deepStrictEqual(pending.body.birds.map(bird => bird.id), [id]);
+});
+
+test('管理员上传的条目直接发布', async (t) => {
+    const { request, login, upload } = await startApp(t);
+    const token = await login();
+
+    const uploaded = await upload('/api/birds', { name: '白鹭' }, await createJpeg(), { token });
+    assert.strictEqual(uploaded.body.status, 'approved');
+    assert.deepStrictEqual(await listIds(request), [uploaded.body.id]);
+});
+
+test('通过审核后公开，拒绝后条目和图片移入回收站', async (t) => {
+    const { request, login, upload, imagesDir } = await startApp(t);
+    const token = await login();
+
+    const approved = (await upload('/api/birds', { name: '夜鹭' }, await createJpeg('#336699'))).body;
+    const rejected = (await upload('/api/birds', { name: '苍鹭' }, await createSplitJpeg('#000000', '#ffffff'))).body;
+
+    const approve = await request('/api/admin/pending/approve', { method: 'POST', token, json: { ids: [approved.id] } });
+    assert.deepStrictEqual(approve.body.approved, [approved.id]);
+
+    const reject = await request('/api/admin/pending/reject', { method: 'POST', token, json: { ids: [rejected.id] } });
+    assert.deepStrictEqual(reject.body.rejected, [rejected.id]);
+
+    assert.deepStrictEqual(await listIds(request), [approved.id]);
+    assert.deepStrictEqual((await request('/api/admin/pending', { token })).body.birds, []);
+    assert.ok(!fs.existsSync(path.join(imagesDir, rejected.imageUrl)));
+
+    const trash = await request('/api/admin/trash', { token });
+    assert.deepStrictEqual(trash.body.items.map(item => [item.type, item.birdId]), [['entry', rejected.id]]);
+
+    // 已处理的条目不会被再次审核
+    const again = await request('/api/admin/pending/approve', { method: 'POST', token, json: { ids: [rejected.id] } });
+    assert.deepStrictEqual(again.body.approved, []);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createQuizPool, generateQuiz, checkAnswer, resolveQuizImage, QuizError } = require('../lib/quiz');
+
+const SECRET = 'quiz-test-secret';
+
+// 条目：每个名称两张图片，文件名就是名称（与旧数据相同）
+const NAMES = ['夜鹭', '苍鹭', '白鹭', '池鹭', '牛背鹭', '大麻鳽', '黄斑苇鳽', '绿鹭'];
+const ENTRIES = NAMES.flatMap((name, index) => [
+    { id: index * 2 + 1, name, imageUrl: `${name}.jpg` },
+    { id: index * 2 + 2, name, imageUrl: `${name}2.jpg`, images: { medium: { jpeg: `${name}2-medium.jpg` } } }
+]);
+
+// 找到答案对应的令牌：看图选名称时为题目图片，看名称选图时为正确的选项
+function answerToken(round, answer) {
+    return round.type === 'name' ? round.image.token : round.choices[answer].token;
+}
+
+test('相同的种子和条目总是生成同样的题目', () => {
+    const first = generateQuiz(createQuizPool(ENTRIES, SECRET), 12345, 10, 4);
+    // 条目顺序不同、重新创建题库后结果不变
+    const second = generateQuiz(createQuizPool([...ENTRIES].reverse(), SECRET), 12345, 10, 4);
+
+    assert.strictEqual(first.length, 10);
+    assert.deepStrictEqual(second, first);
+});
+
+test('不同的种子生成不同的题目', () => {
+    const pool = createQuizPool(ENTRIES, SECRET);
+    assert.notDeepStrictEqual(generateQuiz(pool, 1, 10, 4), generateQuiz(pool, 2, 10, 4));
+});
+
+test('题目中的图片只有令牌，不包含图片文件名', () => {
+    const pool = createQuizPool(ENTRIES, SECRET);
+    const rounds = generateQuiz(pool, 42, 20, 4);
+    const json = JSON.stringify(rounds);
+
+    ENTRIES.forEach(entry => {
+        assert.ok(!json.includes(entry.imageUrl), `题目中出现了文件名 ${entry.imageUrl}`);
+    });
+    rounds.forEach(round => {
+        const images = round.type === 'name' ? [round.image] : round.choices;
+        images.forEach(image => assert.deepStrictEqual(Object.keys(image), ['token']));
+    });
+});
+
+test('图片令牌在服务端解析为对应的条目', () => {
+    const pool = createQuizPool(ENTRIES, SECRET);
+    generateQuiz(pool, 7, 20, 4).forEach(round => {
+        const result = checkAnswer(pool, { seed: 7, index: round.index, choices: 4, key: round.key, choice: 0 });
+        assert.strictEqual(resolveQuizImage(pool, answerToken(round, result.answer)), result.bird);
+    });
+});
+
+test('拒绝被篡改或用其它密钥签名的令牌', () => {
+    const pool = createQuizPool(ENTRIES, SECRET);
+    const [round] = generateQuiz(pool, 7, 1, 4);
+    const token = round.type === 'name' ? round.image.token : round.choices[0].token;
+    const [payload, signature] = token.split('.');
+
+    const forged = Buffer.from(JSON.stringify([7, 0, 4, round.key, 1])).toString('base64url');
+    assert.strictEqual(resolveQuizImage(pool, `${forged}.${signature}`), null);
+    assert.strictEqual(resolveQuizImage(createQuizPool(ENTRIES, 'other-secret'), token), null);
+    assert.strictEqual(resolveQuizImage(pool, payload), null);
+});
+
+test('条目变化后作答或获取图片时提示题目已变化', () => {
+    const pool = createQuizPool(ENTRIES, SECRET);
+    const rounds = generateQuiz(pool, 99, 5, 4);
+    const changed = createQuizPool(ENTRIES.filter(entry => entry.id !== 1 && entry.id !== 2), SECRET);
+
+    const regenerated = generateQuiz(changed, 99, 5, 4);
+    const round = rounds.find(item => regenerated[item.index].key !== item.key);
+    assert.ok(round);
+    const token = round.type === 'name' ? round.image.token : round.choices[0].token;
+
+    assert.throws(() => checkAnswer(changed, { seed: 99, index: round.index, choices: 4, key: round.key, choice: 0 }), QuizError);
+    assert.throws(() => resolveQuizImage(changed, token), QuizError);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHitLog, createSlidingWindowStore } = require('../lib/rate-limit');
+const { startApp } = require('./helpers');
+
+// 内存中的集合，接口与 createJsonCollection 相同但不写盘
+function createMemoryCollection() {
+    const items = [];
+    return {
+        get: () => items,
+        save: () => Promise.resolve(),
+        flush: () => Promise.resolve()
+    };
+}
+
+test('滑动窗口中每次命中单独过期，不会在窗口结束时一起清零', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const hitLog = createHitLog(createMemoryCollection());
+    const store = createSlidingWindowStore(hitLog, 'create');
+    store.init({ windowMs: 1000 });
+
+    await store.increment('1.2.3.4');
+    t.mock.timers.tick(600);
+    const second = await store.increment('1.2.3.4');
+    assert.strictEqual(second.totalHits, 2);
+    assert.strictEqual(second.resetTime.getTime(), 1000);
+
+    // 第一次命中过期后恢复一次额度，第二次命中仍在窗口内
+    t.mock.timers.tick(500);
+    const current = await store.get('1.2.3.4');
+    assert.strictEqual(current.totalHits, 1);
+    assert.strictEqual(current.resetTime.getTime(), 1600);
+
+    t.mock.timers.tick(500);
+    assert.strictEqual((await store.get('1.2.3.4')).totalHits, 0);
+    await hitLog.flush();
+});
+
+test('不同操作类型和不同IP分别计数，撤回只影响对应的键', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const hitLog = createHitLog(createMemoryCollection());
+    const create = createSlidingWindowStore(hitLog, 'create');
+    const report = createSlidingWindowStore(hitLog, 'report');
+    create.init({ windowMs: 1000 });
+    report.init({ windowMs: 1000 });
+
+    await create.increment('a');
+    await create.increment('a');
+    await create.increment('b');
+    await report.increment('a');
+    await create.decrement('a');
+
+    assert.strictEqual((await create.get('a')).totalHits, 1);
+    assert.strictEqual((await create.get('b')).totalHits, 1);
+    assert.strictEqual((await report.get('a')).totalHits, 1);
+    await hitLog.flush();
+});
+
+test('失败的请求不计入次数，成功次数达到上限后返回 OPERATION_LIMIT_EXCEEDED', async (t) => {
+    const entries = [1, 2, 3].map(id => ({ id, name: `鸟${id}`, imageUrl: null, status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' }));
+    const { request } = await startApp(t, { entries, config: { operations: { report: 2 } } });
+    const report = (id, reason = 'wrong') => request(`/api/birds/${id}/reports`, { method: 'POST', json: { reason } });
+
+    // 不存在的条目、无效的请求和重复举报都不占用额度
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await report(999)).status, 404);
+        assert.strictEqual((await report(1, 'unknown')).status, 400);
+    }
+    assert.strictEqual((await report(1)).status, 201);
+    assert.strictEqual((await report(1)).status, 409);
+    assert.strictEqual((await report(2)).status, 201);
+
+    const limited = await report(3);
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.code, 'OPERATION_LIMIT_EXCEEDED');
+    assert.strictEqual(limited.body.limit, 2);
+    assert.ok(limited.body.retryAfter > 0);
+});
+
+test('管理员不受操作频率限制', async (t) => {
+    const { upload, login } = await startApp(t, { config: { operations: { create: 1 } } });
+    const token = await login();
+
+    for (let i = 0; i < 3; i++) {
+        const uploaded = await upload('/api/birds', { name: `鸟${i}` }, null, { token });
+        assert.strictEqual(uploaded.status, 201);
+    }
+});
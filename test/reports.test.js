@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const ENTRIES = [
+    { id: 2, name: '白鹭', imageUrl: null, status: 'approved', createdAt: '2024-01-02T00:00:00.000Z' },
+    { id: 1, name: '夜鹭', imageUrl: null, status: 'approved', createdAt: '2024-01-01T00:00:00.000Z' }
+];
+
+// 举报条目
+function report(request, id, reason = 'wrong') {
+    return request(`/api/birds/${id}/reports`, { method: 'POST', json: { reason } });
+}
+
+test('举报使用 UUID 作为ID，同一客户端不能重复举报同一条目', async (t) => {
+    const { request, login } = await startApp(t, { entries: ENTRIES });
+    const token = await login();
+
+    assert.strictEqual((await report(request, 1)).status, 201);
+    assert.strictEqual((await report(request, 2)).status, 201);
+
+    const again = await report(request, 1);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.code, 'ALREADY_REPORTED');
+
+    const { body } = await request('/api/admin/reports', { token });
+    const reports = body.items.flatMap(item => item.reports);
+    assert.strictEqual(reports.length, 2);
+    reports.forEach(item => {
+        assert.match(item.id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        assert.strictEqual(item.client, undefined);
+    });
+    assert.notStrictEqual(reports[0].id, reports[1].id);
+});
+
+test('默认不自动隐藏被举报的条目，忽略后举报不再列出', async (t) => {
+    const { request, login } = await startApp(t, { entries: ENTRIES });
+    const token = await login();
+
+    await report(request, 1);
+    assert.strictEqual((await request('/api/birds/1')).status, 200);
+
+    const dismissed = await request('/api/admin/reports/1/dismiss', { method: 'POST', token });
+    assert.strictEqual(dismissed.status, 200);
+    assert.deepStrictEqual((await request('/api/admin/reports', { token })).body.items, []);
+
+    // 忽略后可以再次举报
+    assert.strictEqual((await report(request, 1)).status, 201);
+});
+
+test('配置了隐藏阈值时达到阈值的条目被隐藏，忽略举报后恢复展示', async (t) => {
+    const { request, login } = await startApp(t, { entries: ENTRIES, config: { reports: { hideThreshold: 1 } } });
+    const token = await login();
+
+    await report(request, 1);
+    assert.strictEqual((await request('/api/birds/1')).status, 404);
+
+    const dismissed = await request('/api/admin/reports/1/dismiss', { method: 'POST', token });
+    assert.strictEqual(dismissed.body.bird.status, 'approved');
+    assert.strictEqual((await request('/api/birds/1')).status, 200);
+});
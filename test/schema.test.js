@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const express = require('express');
+const { createApi, createValidator } = require('../lib/schema');
+const { createJpeg, startApp } = require('./helpers');
+
+test('按 schema 校验并补上默认值，问题中带有字段路径和规则', () => {
+    const validate = createValidator({});
+    const schema = {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', maxLength: 3 },
+            page: { type: 'integer', minimum: 1, default: 1 },
+            tags: { type: 'array', items: { type: 'string' } }
+        },
+        additionalProperties: false
+    };
+
+    assert.deepStrictEqual(validate(schema, { name: '夜鹭' }), { value: { name: '夜鹭', page: 1 }, issues: [] });
+
+    const { issues } = validate(schema, { name: '夜鹭夜鹭', page: 0, tags: ['a', 1], extra: true });
+    assert.deepStrictEqual(issues.map(issue => [issue.field, issue.rule]), [
+        ['name', 'maxLength'],
+        ['page', 'minimum'],
+        ['tags[1]', 'type'],
+        ['extra', 'additionalProperties']
+    ]);
+});
+
+test('coerce 时把查询参数和表单字段的字符串转换为 schema 的类型', () => {
+    const validate = createValidator({});
+    const schema = {
+        type: 'object',
+        properties: {
+            page: { type: 'integer' },
+            force: { type: 'boolean' },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    };
+
+    const { value, issues } = validate(schema, { page: '2', force: 'true', tags: '夜鹭，白鹭' }, { coerce: true });
+    assert.deepStrictEqual(issues, []);
+    assert.deepStrictEqual(value, { page: 2, force: true, tags: ['夜鹭', '白鹭'] });
+
+    assert.strictEqual(validate(schema, { page: 'x' }, { coerce: true }).issues[0].rule, 'type');
+});
+
+test('认证之后立即校验，无效的请求不经过后续的中间件', async (t) => {
+    const app = express();
+    app.use(express.json());
+    const calls = [];
+    const track = name => (req, res, next) => {
+        calls.push(name);
+        next();
+    };
+    const authenticate = track('auth');
+    const api = createApi(app, {
+        info: { title: 'test', version: '1' },
+        schemas: {},
+        auth: { optional: authenticate },
+        parseForm: track('form')
+    });
+    const body = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+    api.post('/json', { summary: 'json', body }, authenticate, track('limit'), track('log'), (req, res) => res.json(res.locals.body));
+    api.post('/form', { summary: 'form', form: true, body }, authenticate, track('limit'), (req, res) => res.json({}));
+
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => server.close());
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, json) => fetch(url + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(json)
+    });
+
+    assert.strictEqual((await post('/json', {})).status, 400);
+    assert.deepStrictEqual(calls, ['auth']);
+
+    calls.length = 0;
+    assert.strictEqual((await post('/json', { name: '夜鹭' })).status, 200);
+    assert.deepStrictEqual(calls, ['auth', 'limit', 'log']);
+
+    calls.length = 0;
+    await post('/form', {});
+    assert.deepStrictEqual(calls, ['auth', 'form']);
+});
+
+test('没有配置表单解析时不能注册表单接口', () => {
+    const api = createApi(express(), { info: { title: 'test', version: '1' }, schemas: {} });
+    assert.throws(() => api.post('/form', { summary: 'form', form: true }, (req, res) => res.end()), /parseForm/);
+});
+
+test('校验失败的上传不写入操作日志、不占用额度，也不处理图片', async (t) => {
+    const { request, upload, login, readData, imagesDir } = await startApp(t, { config: { operations: { create: 1 } } });
+
+    const invalid = await upload('/api/birds', { name: '' }, await createJpeg());
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(fs.readdirSync(imagesDir), []);
+
+    const report = await request('/api/birds/1/reports', { method: 'POST', json: { reason: 'unknown' } });
+    assert.strictEqual(report.status, 400);
+
+    assert.deepStrictEqual(readData('operation_log.json').logs, []);
+
+    const valid = await upload('/api/birds', { name: '夜鹭' }, await createJpeg());
+    assert.strictEqual(valid.status, 201);
+
+    const token = await login();
+    const { body } = await request('/api/admin/audit-log', { token });
+    assert.deepStrictEqual(body.logs.map(log => log.method), ['POST']);
+});
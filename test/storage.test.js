@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { startApp } = require('./helpers');
+
+const FILES = {
+    dataFile: 'data.json',
+    ipOperationsFile: 'ip_operations.json',
+    operationLogFile: 'operation_log.json',
+    likesFile: 'likes.json',
+    reportsFile: 'reports.json',
+    trashFile: 'trash.json',
+    changesFile: 'changes.json',
+    mirrorFile: 'mirror.json'
+};
+
+// 在临时目录中创建存储层，files 为预先写入的文件 { 文件名: 内容 }
+function setup(t, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const [file, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+
+    const options = {};
+    for (const [name, file] of Object.entries(FILES)) {
+        options[name] = path.join(dir, file);
+    }
+    const read = (file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    return { storage: createStorage(options), read };
+}
+
+test('旧格式的数组迁移为 { version, entries }，内容不变', async (t) => {
+    const legacy = [{ id: 2, name: '白鹭', imageUrl: 'b.jpg' }, { id: 1, name: '夜鹭', imageUrl: 'a.jpg' }];
+    const { storage, read } = setup(t, { 'data.json': legacy, 'likes.json': [] });
+
+    await storage.init();
+    await storage.flush();
+
+    assert.deepStrictEqual(storage.entries.get(), legacy);
+    assert.deepStrictEqual(read('data.json'), { version: 1, entries: legacy });
+    assert.deepStrictEqual(read('likes.json'), { version: 1, likes: [] });
+});
+
+test('缺少的数据文件以空集合创建', async (t) => {
+    const { storage, read } = setup(t);
+
+    await storage.init();
+    await storage.flush();
+
+    assert.deepStrictEqual(storage.trash.get(), []);
+    assert.deepStrictEqual(read('trash.json'), { version: 1, items: [] });
+});
+
+test('更新版本写入的文件或未知格式拒绝读取，且不覆盖原文件', async (t) => {
+    const newer = { version: 2, entries: [] };
+    const { storage, read } = setup(t, { 'data.json': newer });
+    await assert.rejects(storage.init(), /newer version \(v2\)/);
+    assert.deepStrictEqual(read('data.json'), newer);
+
+    const unknown = setup(t, { 'data.json': { birds: [] } });
+    await assert.rejects(unknown.storage.init(), /unknown format/);
+});
+
+test('应用启动时迁移旧格式的 data.json 并正常提供条目', async (t) => {
+    const legacy = [{ id: 1, name: '夜鹭', imageUrl: null, createdAt: '2024-01-01T00:00:00.000Z' }];
+    const { request, readData } = await startApp(t, { data: legacy });
+
+    const { body } = await request('/api/birds');
+    assert.deepStrictEqual(body.birds.map(bird => bird.name), ['夜鹭']);
+    assert.strictEqual(readData('data.json').version, 1);
+    assert.strictEqual(readData('data.json').entries[0].name, '夜鹭');
+});
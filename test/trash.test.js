@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createJpeg, createSplitJpeg, startApp } = require('./helpers');
+
+// 回收站记录
+async function listTrash(request, token) {
+    const { body } = await request('/api/admin/trash', { token });
+    return body.items;
+}
+
+test('删除的条目移入回收站，恢复后条目和图片回到原处', async (t) => {
+    const { request, login, upload, imagesDir } = await startApp(t);
+    const token = await login();
+
+    const bird = (await upload('/api/birds', { name: '夜鹭' }, await createJpeg(), { token })).body;
+    const deleted = await request(`/api/birds/${bird.id}`, { method: 'DELETE', token });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual((await request(`/api/birds/${bird.id}`)).status, 404);
+    assert.ok(!fs.existsSync(path.join(imagesDir, bird.imageUrl)));
+
+    const [item] = await listTrash(request, token);
+    assert.strictEqual(item.type, 'entry');
+    assert.strictEqual(item.birdId, bird.id);
+    assert.strictEqual(item.deletedBy, 'admin');
+
+    const restored = await request(`/api/admin/trash/${item.id}/restore`, { method: 'POST', token });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual((await request(`/api/birds/${bird.id}`)).body.name, '夜鹭');
+    assert.ok(fs.existsSync(path.join(imagesDir, bird.imageUrl)));
+    assert.deepStrictEqual(await listTrash(request, token), []);
+});
+
+test('替换图片后旧图片进入回收站，恢复时换回旧图片', async (t) => {
+    const { request, login, upload, imagesDir } = await startApp(t);
+    const token = await login();
+
+    const bird = (await upload('/api/birds', { name: '夜鹭' }, await createJpeg(), { token })).body;
+    const updated = (await upload(`/api/birds/${bird.id}`, {}, await createSplitJpeg('#000000', '#ffffff'), { method: 'PUT', token })).body;
+    assert.notStrictEqual(updated.imageUrl, bird.imageUrl);
+
+    const [item] = await listTrash(request, token);
+    assert.strictEqual(item.type, 'image');
+
+    await request(`/api/admin/trash/${item.id}/restore`, { method: 'POST', token });
+    assert.strictEqual((await request(`/api/birds/${bird.id}`)).body.imageUrl, bird.imageUrl);
+    assert.ok(fs.existsSync(path.join(imagesDir, bird.imageUrl)));
+    assert.ok(!fs.existsSync(path.join(imagesDir, updated.imageUrl)));
+
+    // 被换下的新图片进入回收站
+    const items = await listTrash(request, token);
+    assert.deepStrictEqual(items.map(entry => entry.bird.imageUrl), [updated.imageUrl]);
+});
+
+test('彻底删除后记录和图片文件都不再保留', async (t) => {
+    const { request, login, upload, dataDir } = await startApp(t);
+    const token = await login();
+    const trashDir = path.join(dataDir, 'trash');
+
+    const first = (await upload('/api/birds', { name: '夜鹭' }, await createJpeg(), { token })).body;
+    const second = (await upload('/api/birds', { name: '白鹭' }, await createSplitJpeg('#000000', '#ffffff'), { token })).body;
+    await request(`/api/birds/${first.id}`, { method: 'DELETE', token });
+    await request(`/api/birds/${second.id}`, { method: 'DELETE', token });
+    assert.ok(fs.readdirSync(trashDir).length > 0);
+
+    const [item] = await listTrash(request, token);
+    const purged = await request(`/api/admin/trash/${item.id}`, { method: 'DELETE', token });
+    assert.strictEqual(purged.status, 200);
+    assert.strictEqual((await request(`/api/admin/trash/${item.id}/restore`, { method: 'POST', token })).body.code, 'TRASH_ITEM_NOT_FOUND');
+
+    const emptied = await request('/api/admin/trash', { method: 'DELETE', token });
+    assert.strictEqual(emptied.body.purged, 1);
+    assert.deepStrictEqual(await listTrash(request, token), []);
+    assert.deepStrictEqual(fs.readdirSync(trashDir), []);
+});